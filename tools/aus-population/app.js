@@ -26,90 +26,671 @@ const STATE_COLORS = {
     'ACT': '#6366f1'
 };
 
+// Every state, then the national total, as named in the data
+const ALL_COLUMNS = [...Object.keys(STATE_NAMES), 'Aus'];
+
 // Global data storage
 let populationData = [];
 let currentIndex = 0;
 let scrollTicking = false;
 
-// Constants for full population range (for fixed axis)
-let MIN_POPULATION = Infinity;
-let MAX_POPULATION = -Infinity;
+// Data vintages (one per ABS release) and the one on screen
+let vintages = [];
+let currentVintage = null;
+const vintageLoader = PopulationVintages.loader(url => fetch(url), record => ({
+    ...record,
+    dateString: formatDate(record.date)
+}));
+let revisionsRequest = 0; // Ignores comparisons that finish after a newer one was asked for
+
+// Time series chart: its mode, the states hidden from it, and the quarter
+// and state under the pointer (or null)
+let chartMode = 'stacked';
+const hiddenStates = new Set();
+let lineChartHover = null;
+let lineChart = {
+    width: null, // Container width the chart is drawn for
+    scales: null, // Series and scales for the current data, mode, states and width
+    drawn: null // The scales the SVG on screen was drawn from
+};
+
+// Playing the timeline on a timer, independent of scrolling
+let playback = {
+    timer: null, // Interval id while playing
+    loop: false,
+    speed: PopulationPlayback.DEFAULT_SPEED // Index into PopulationPlayback.SPEEDS
+};
+let historyTimer = null; // Pending update of the page URL
+
+// Bar chart: whether it races (ranked by population, tweened), the figures
+// on screen and the animation frame in progress
+let barChart = {
+    race: false,
+    shown: {},
+    frame: null
+};
 
 // Timeline configuration
 const QUARTERS_PER_MILESTONE = 20; // ~5 years
 const TIMELINE_SPACING_MULTIPLIER = 2;
 const COLUMN_HEIGHT_SCALE = 1.5;
 const EXTERNAL_LABEL_THRESHOLD = 0.15; // Show external labels for bars less than 15% of max population
+const QUARTERS_PER_YEAR = 4;
+const GROWTH_DEFAULT_YEARS = 10; // Default custom range: the last ten years
+const LINE_CHART_HEIGHT = 200;
+const LINE_CHART_PADDING = { top: 15, right: 15, bottom: 30, left: 50 };
+const LINE_HOVER_DISTANCE = 12; // How close the pointer must be to a line to pick it out
+const HISTORY_SETTLE_MS = 800; // A quarter on screen this long gets its own history entry
+const EXPORT_PNG_SCALE = 2; // Least PNG pixels per SVG unit, so exports stay sharp on slides
+const EXPORT_SOURCE = 'Source: Australian Bureau of Statistics, National, state and territory population';
+const LINE_CHART_TITLES = {
+    stacked: 'Total Australian Population',
+    share: 'Share of Australian Population',
+    lines: 'Population by State',
+    log: 'Population by State (Log Scale)'
+};
 
 /**
  * Initialize the application
  */
 document.addEventListener('DOMContentLoaded', async function() {
     try {
-        await loadPopulationData();
-        initializeApp();
+        // Links can name a quarter, chart mode, hidden states and release
+        const link = readLink();
+        vintages = await loadManifest();
+        currentVintage = PopulationVintages.find(vintages, link.release) || PopulationVintages.latest(vintages);
+        await loadPopulationData(currentVintage);
+        initializeApp(link);
     } catch (error) {
         console.error('Error initializing app:', error);
-        displayError('Failed to load population data. Please try again.');
+        displayError(`Failed to load population data. ${error.message}`);
     }
 });
 
 /**
- * Load and parse CSV data
+ * Load the list of data vintages, newest first
+ */
+function loadManifest() {
+    return vintageLoader.manifest();
+}
+
+/**
+ * Load a vintage and make it the data on screen
+ */
+async function loadPopulationData(vintage) {
+    populationData = await fetchVintage(vintage);
+}
+
+/**
+ * Load and parse a vintage's CSV, once per vintage
  */
-async function loadPopulationData() {
-    const response = await fetch('../../data/australia_population_20250918.csv');
+function fetchVintage(vintage) {
+    return vintageLoader.records(vintage);
+}
+
+/**
+ * Initialize the application
+ */
+function initializeApp(link) {
+    chartMode = link.mode;
+    link.hidden.forEach(state => hiddenStates.add(state));
+    barChart.race = link.race;
+    document.getElementById('bar-race').setAttribute('aria-pressed', String(link.race));
+    document.getElementById('bar-race').addEventListener('click', () => setBarRace(!barChart.race));
     
-    if (!response.ok) {
-        throw new Error(`Failed to load CSV: ${response.status} ${response.statusText}`);
-    }
+    createTimeline();
+    setupScrollListener();
+    setupTransport();
+    setupLineChartControls();
+    setupLineChartHover();
+    setupLineChartResize();
+    setupVintagePicker();
+    setupGrowth();
+    setupRevisions();
+    setupDownload();
+    setupExports();
+    updateDataSource();
     
-    const csvText = await response.text();
+    // Start at the linked quarter, or else the earliest data
+    currentIndex = Math.max(0, quarterIndex(link.quarter));
     
-    const lines = csvText.trim().split('\n');
-    const headers = lines[0].split(',');
+    updateVisualization(currentIndex);
+    updateTimelineIndicator();
     
-    // Skip first two rows (headers and abbreviations)
-    for (let i = 2; i < lines.length; i++) {
-        const values = lines[i].split(',');
-        const date = values[0];
-        
-        const dataPoint = {
-            date: new Date(date),
-            dateString: formatDate(new Date(date)),
-            NSW: parseInt(values[1], 10),
-            Vic: parseInt(values[2], 10),
-            Qld: parseInt(values[3], 10),
-            SA: parseInt(values[4], 10),
-            WA: parseInt(values[5], 10),
-            Tas: parseInt(values[6], 10),
-            NT: parseInt(values[7], 10),
-            ACT: parseInt(values[8], 10),
-            Aus: parseInt(values[9], 10)
-        };
-        
-        populationData.push(dataPoint);
+    // The linked quarter wins over the scroll position the browser would restore
+    history.scrollRestoration = 'manual';
+    scrollToIndex(currentIndex);
+    recordView();
+    window.addEventListener('popstate', applyLinkedView);
+}
+
+/**
+ * Index of the quarter with this key (e.g. "2020-06"), or -1
+ */
+function quarterIndex(key) {
+    return populationData.findIndex(data => PopulationVintages.quarterKey(data.date) === key);
+}
+
+/**
+ * The view described by the page URL
+ */
+function readLink() {
+    return PopulationLink.parse(window.location.search, {
+        states: Object.keys(STATE_NAMES),
+        modes: PopulationSeries.MODES
+    });
+}
+
+/**
+ * Update the page URL once the view has settled
+ */
+function scheduleViewRecord() {
+    clearTimeout(historyTimer);
+    historyTimer = setTimeout(recordView, HISTORY_SETTLE_MS);
+}
+
+/**
+ * Put the current view in the page URL. Moving to another quarter adds a
+ * history entry, so back and forward step between quarters viewed; other
+ * changes update the current entry.
+ */
+function recordView() {
+    clearTimeout(historyTimer);
+    historyTimer = null;
+    
+    const data = populationData[currentIndex];
+    const quarter = PopulationVintages.quarterKey(data.date);
+    const search = PopulationLink.build({
+        quarter,
+        mode: chartMode,
+        hidden: Object.keys(STATE_NAMES).filter(state => hiddenStates.has(state)),
+        race: barChart.race,
+        release: currentVintage === PopulationVintages.latest(vintages) ? null : currentVintage.id
+    });
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    
+    document.title = `${data.dateString} - Australian Population - JaxLab`;
+    if (history.state && history.state.quarter !== quarter) {
+        history.pushState({ quarter }, '', url);
+    } else {
+        history.replaceState({ quarter }, '', url);
     }
 }
 
 /**
- * Initialize the application
+ * Show the view in the page URL after the browser moves back or forward
  */
-function initializeApp() {
-    // Calculate min/max for the entire dataset
-    populationData.forEach(data => {
-        MIN_POPULATION = Math.min(MIN_POPULATION, data.Aus);
-        MAX_POPULATION = Math.max(MAX_POPULATION, data.Aus);
+async function applyLinkedView() {
+    const link = readLink();
+    if (playback.timer !== null) stopPlayback();
+    
+    const release = (PopulationVintages.find(vintages, link.release) || PopulationVintages.latest(vintages)).id;
+    if (release !== currentVintage.id) {
+        document.getElementById('vintage-select').value = release;
+        await switchVintage(release);
+    }
+    
+    chartMode = link.mode;
+    hiddenStates.clear();
+    link.hidden.forEach(state => hiddenStates.add(state));
+    updateLineChartControls();
+    updateLineChart(currentIndex);
+    setBarRace(link.race);
+    goToIndex(Math.max(0, quarterIndex(link.quarter)));
+}
+
+/**
+ * Fill a select with the vintages, newest first
+ */
+function fillVintageSelect(select, selectedId) {
+    select.innerHTML = '';
+    vintages.forEach(vintage => {
+        const option = document.createElement('option');
+        option.value = vintage.id;
+        option.textContent = vintage.label;
+        option.selected = vintage.id === selectedId;
+        select.appendChild(option);
     });
+}
+
+/**
+ * Setup the picker for which release to show
+ */
+function setupVintagePicker() {
+    const select = document.getElementById('vintage-select');
+    fillVintageSelect(select, currentVintage.id);
+    select.addEventListener('change', () => switchVintage(select.value));
     
-    createTimeline();
-    setupScrollListener();
+    // With a single release there is nothing to switch to or compare
+    const single = vintages.length < 2;
+    select.hidden = single;
+    document.querySelector('label[for="vintage-select"]').hidden = single;
+    document.getElementById('show-revisions').hidden = single;
+}
+
+/**
+ * Show another release, staying on the same quarter where it has one
+ */
+async function switchVintage(id) {
+    const vintage = PopulationVintages.find(vintages, id);
+    const status = document.getElementById('viewer-status');
+    if (!vintage || vintage === currentVintage) return;
+    
+    const currentDate = populationData[currentIndex].date;
+    status.textContent = `Loading ${vintage.label}...`;
+    
+    let records;
+    try {
+        records = await fetchVintage(vintage);
+    } catch (error) {
+        console.error('Error loading vintage:', error);
+        status.textContent = `Couldn't load ${vintage.label}. ${error.message}`;
+        document.getElementById('vintage-select').value = currentVintage.id;
+        return;
+    }
+    
+    // Another release may have been picked while this one loaded
+    if (document.getElementById('vintage-select').value !== id) return;
+    
+    currentVintage = vintage;
+    populationData = records;
+    status.textContent = '';
     
-    // Set initial index to earliest data
-    currentIndex = 0;
+    const sameQuarter = quarterIndex(PopulationVintages.quarterKey(currentDate));
+    currentIndex = sameQuarter !== -1 ? sameQuarter : Math.min(currentIndex, populationData.length - 1);
     
+    updateGrowthQuarters();
+    updateDownloadQuarters();
+    createTimeline();
+    updateDataSource();
     updateVisualization(currentIndex);
     updateTimelineIndicator();
+    scrollToIndex(currentIndex);
+}
+
+/**
+ * Point the source link at the release on screen
+ */
+function updateDataSource() {
+    const link = document.getElementById('data-source-link');
+    link.textContent = `ABS (${currentVintage.label})`;
+    if (currentVintage.source) {
+        link.href = currentVintage.source;
+    }
+}
+
+/**
+ * Setup a panel that opens over the charts: its button toggles it, the close
+ * button or Escape shuts it, and only one panel is open at a time
+ */
+function setupPanel(name, onOpen) {
+    const panel = document.getElementById(`${name}-panel`);
+    const toggle = document.getElementById(`show-${name}`);
+    const close = document.getElementById(`close-${name}`);
+    
+    const setOpen = open => {
+        if (open) {
+            document.querySelectorAll('.viewer-panel').forEach(other => {
+                if (other === panel || other.hidden) return;
+                other.hidden = true;
+                document.querySelector(`[aria-controls="${other.id}"]`).setAttribute('aria-expanded', 'false');
+            });
+        }
+        panel.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+        if (open) {
+            onOpen();
+            close.focus();
+        } else {
+            toggle.focus();
+        }
+    };
+    toggle.addEventListener('click', () => setOpen(panel.hidden));
+    close.addEventListener('click', () => setOpen(false));
+    panel.addEventListener('keydown', event => {
+        if (event.key === 'Escape') setOpen(false);
+    });
+}
+
+/**
+ * Setup the growth panel: year on year, and over a range of quarters
+ */
+function setupGrowth() {
+    updateGrowthQuarters();
+    document.getElementById('growth-start').addEventListener('change', updateGrowthRange);
+    document.getElementById('growth-end').addEventListener('change', updateGrowthRange);
+    setupPanel('growth', () => {
+        updateGrowthYear();
+        updateGrowthRange();
+    });
+}
+
+/**
+ * Fill the range pickers with the quarters on screen, keeping the picked
+ * quarters where this data has them
+ */
+function updateGrowthQuarters() {
+    const start = document.getElementById('growth-start');
+    const end = document.getElementById('growth-end');
+    const lastIndex = populationData.length - 1;
+    
+    fillQuarterSelect(start, start.value, Math.max(0, lastIndex - GROWTH_DEFAULT_YEARS * QUARTERS_PER_YEAR));
+    fillQuarterSelect(end, end.value, lastIndex);
+    updateGrowthYear();
+    updateGrowthRange();
+}
+
+/**
+ * Fill a select with every quarter, picking the one with this key or else
+ * the quarter at fallbackIndex
+ */
+function fillQuarterSelect(select, selectedKey, fallbackIndex) {
+    const keys = populationData.map(data => PopulationVintages.quarterKey(data.date));
+    const selected = keys.includes(selectedKey) ? selectedKey : keys[fallbackIndex];
+    
+    select.innerHTML = '';
+    populationData.forEach((data, i) => {
+        const option = document.createElement('option');
+        option.value = keys[i];
+        option.textContent = data.dateString;
+        option.selected = keys[i] === selected;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Growth over the year to the quarter on screen
+ */
+function updateGrowthYear() {
+    if (document.getElementById('growth-panel').hidden) return;
+    
+    const data = populationData[currentIndex];
+    const table = document.getElementById('growth-year-table');
+    const growth = PopulationGrowth.yearOnYear(populationData, currentIndex, ALL_COLUMNS);
+    document.getElementById('growth-year-title').textContent = `Year to ${data.dateString}`;
+    
+    if (!growth) {
+        table.innerHTML = `<tbody><tr><td class="change-none">There's no quarter a year before ${data.dateString} to compare with.</td></tr></tbody>`;
+        return;
+    }
+    
+    let html = '<thead><tr><th scope="col">Region</th><th scope="col">Population</th><th scope="col">Change</th><th scope="col">Growth</th></tr></thead><tbody>';
+    ALL_COLUMNS.forEach(column => {
+        const { end, change, percent } = growth.columns[column];
+        html += `
+            <tr${column === 'Aus' ? ' class="total-row"' : ''}>
+                <th scope="row">${regionName(column)}</th>
+                <td>${formatNumber(end)}</td>
+                <td>${formatSigned(change)}</td>
+                ${growthCell(percent, 2)}
+            </tr>
+        `;
+    });
+    html += '</tbody>';
+    table.innerHTML = html;
+}
+
+/**
+ * Growth and CAGR between the two picked quarters, states ranked fastest first
+ */
+function updateGrowthRange() {
+    if (document.getElementById('growth-panel').hidden) return;
+    
+    const summary = document.getElementById('growth-summary');
+    const table = document.getElementById('growth-range-table');
+    const keys = populationData.map(data => PopulationVintages.quarterKey(data.date));
+    const startIndex = keys.indexOf(document.getElementById('growth-start').value);
+    const endIndex = keys.indexOf(document.getElementById('growth-end').value);
+    
+    let growth;
+    try {
+        growth = PopulationGrowth.range(populationData, startIndex, endIndex, ALL_COLUMNS);
+    } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        summary.textContent = `${error.message}.`;
+        table.innerHTML = '';
+        return;
+    }
+    
+    const ranking = PopulationGrowth.rank(growth, Object.keys(STATE_NAMES));
+    const national = growth.columns.Aus;
+    summary.textContent = `Over ${PopulationGrowth.describeYears(growth.years)} to ${formatDate(growth.end)}, Australia grew ${formatSigned(national.percent, 1)}% `
+        + `(${formatSigned(national.cagr, 2)}% a year). ${regionName(ranking[0].state)} grew fastest `
+        + `and ${regionName(ranking[ranking.length - 1].state)} slowest.`;
+    
+    let html = `
+        <thead><tr>
+            <th scope="col">Rank</th><th scope="col">Region</th>
+            <th scope="col">${formatDate(growth.start)}</th><th scope="col">${formatDate(growth.end)}</th>
+            <th scope="col">Change</th><th scope="col">Growth</th><th scope="col">CAGR</th>
+        </tr></thead><tbody>
+    `;
+    [...ranking, { rank: '', state: 'Aus', ...national }].forEach(({ rank, state, start, end, change, percent, cagr }) => {
+        html += `
+            <tr${state === 'Aus' ? ' class="total-row"' : ''}>
+                <td>${rank}</td>
+                <th scope="row">${regionName(state)}</th>
+                <td>${formatNumber(start)}</td>
+                <td>${formatNumber(end)}</td>
+                <td>${formatSigned(change)}</td>
+                ${growthCell(percent, 1)}
+                ${growthCell(cagr, 2)}
+            </tr>
+        `;
+    });
+    html += '</tbody>';
+    table.innerHTML = html;
+}
+
+/**
+ * Table cell for a percentage change, coloured by direction
+ */
+function growthCell(percent, decimals) {
+    if (percent === null) return '<td class="change-none">–</td>';
+    const direction = percent > 0 ? 'up' : percent < 0 ? 'down' : 'none';
+    return `<td class="change-${direction}">${formatSigned(percent, decimals)}%</td>`;
+}
+
+/**
+ * Full name of a state, or Australia for the national total
+ */
+function regionName(column) {
+    return STATE_NAMES[column] || 'Australia';
+}
+
+/**
+ * Setup the revisions panel comparing two releases
+ */
+function setupRevisions() {
+    const from = document.getElementById('revisions-from');
+    const to = document.getElementById('revisions-to');
+    
+    // Default to what the latest release changed from the one before it
+    fillVintageSelect(to, vintages[0].id);
+    fillVintageSelect(from, (vintages[1] || vintages[0]).id);
+    from.addEventListener('change', updateRevisions);
+    to.addEventListener('change', updateRevisions);
+    setupPanel('revisions', updateRevisions);
+}
+
+/**
+ * Compare the two picked releases and list what changed
+ */
+async function updateRevisions() {
+    const summary = document.getElementById('revisions-summary');
+    const table = document.getElementById('revisions-table');
+    const from = PopulationVintages.find(vintages, document.getElementById('revisions-from').value);
+    const to = PopulationVintages.find(vintages, document.getElementById('revisions-to').value);
+    const request = ++revisionsRequest;
+    
+    table.innerHTML = '';
+    if (from === to) {
+        summary.textContent = 'Pick two different releases to compare.';
+        return;
+    }
+    
+    summary.textContent = 'Comparing...';
+    let diff;
+    try {
+        diff = await vintageLoader.compare(from, to, ALL_COLUMNS);
+    } catch (error) {
+        console.error('Error comparing vintages:', error);
+        if (request === revisionsRequest) {
+            summary.textContent = `Couldn't compare these releases. ${error.message}`;
+        }
+        return;
+    }
+    if (request !== revisionsRequest) return;
+    
+    summary.textContent = describeRevisions(diff, from, to);
+    if (diff.quarters.length === 0) return;
+    
+    let html = '<thead><tr><th scope="col">Quarter</th>';
+    diff.columns.forEach(column => {
+        html += `<th scope="col" title="${regionName(column)}">${column}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+    
+    diff.quarters.forEach(({ date, changes }) => {
+        html += `<tr><th scope="row">${formatDate(date)}</th>`;
+        diff.columns.forEach(column => {
+            const revision = changes[column];
+            if (!revision) {
+                html += '<td class="change-none">–</td>';
+                return;
+            }
+            const direction = revision.change > 0 ? 'up' : 'down';
+            const percent = revision.percent !== null ? `${formatSigned(revision.percent, 2)}%` : '';
+            html += `
+                <td class="change-${direction}" title="${formatNumber(revision.before)} → ${formatNumber(revision.after)}">
+                    ${formatSigned(revision.change)}
+                    <span class="change-percent">${percent}</span>
+                </td>
+            `;
+        });
+        html += '</tr>';
+    });
+    
+    html += '</tbody>';
+    table.innerHTML = html;
+}
+
+/**
+ * One-line summary of a comparison, e.g.
+ * "Compared with Jun 2025, Sep 2025 revised 12 quarters (NSW, Aus) and added March 2025."
+ */
+function describeRevisions(diff, from, to) {
+    const parts = [];
+    if (diff.quarters.length > 0) {
+        const count = diff.quarters.length;
+        parts.push(`revised ${count} quarter${count === 1 ? '' : 's'} (${diff.columns.join(', ')})`);
+    }
+    [['added', diff.added], ['dropped', diff.removed]].forEach(([verb, dates]) => {
+        if (dates.length === 1) {
+            parts.push(`${verb} ${formatDate(dates[0])}`);
+        } else if (dates.length > 1) {
+            parts.push(`${verb} ${dates.length} quarters (${formatDate(dates[0])} to ${formatDate(dates[dates.length - 1])})`);
+        }
+    });
+    
+    if (parts.length === 0) {
+        return `No figures changed between ${from.label} and ${to.label}.`;
+    }
+    const list = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+    return `Compared with ${from.label}, ${to.label} ${list}.`;
+}
+
+/**
+ * Setup the download panel: a CSV of the picked quarters and columns
+ */
+function setupDownload() {
+    const columns = document.getElementById('download-columns');
+    ALL_COLUMNS.forEach(column => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = column;
+        checkbox.checked = true;
+        label.title = regionName(column);
+        label.append(checkbox, column);
+        columns.appendChild(label);
+    });
+    
+    updateDownloadQuarters();
+    document.getElementById('download-start').addEventListener('change', updateDownloadSummary);
+    document.getElementById('download-end').addEventListener('change', updateDownloadSummary);
+    columns.addEventListener('change', updateDownloadSummary);
+    document.getElementById('download-csv').addEventListener('click', downloadData);
+    setupPanel('download', () => {
+        // Start from the states on show in the time series chart
+        columns.querySelectorAll('input').forEach(checkbox => {
+            if (checkbox.value !== 'Aus') checkbox.checked = !hiddenStates.has(checkbox.value);
+        });
+        updateDownloadSummary();
+    });
+}
+
+/**
+ * Fill the download range with the quarters on screen, all of them by
+ * default, keeping the picked quarters where this data has them
+ */
+function updateDownloadQuarters() {
+    const start = document.getElementById('download-start');
+    const end = document.getElementById('download-end');
+    
+    fillQuarterSelect(start, start.value, 0);
+    fillQuarterSelect(end, end.value, populationData.length - 1);
+    updateDownloadSummary();
+}
+
+/**
+ * The picked quarters and columns: { records, columns, startKey, endKey }.
+ * records is empty when a quarter isn't picked or the range runs backwards.
+ */
+function downloadSelection() {
+    const startKey = document.getElementById('download-start').value;
+    const endKey = document.getElementById('download-end').value;
+    const columns = Array.from(
+        document.querySelectorAll('#download-columns input:checked'),
+        checkbox => checkbox.value
+    );
+    const startIndex = quarterIndex(startKey);
+    const endIndex = quarterIndex(endKey);
+    const records = startIndex < 0 || endIndex < 0 ? [] : populationData.slice(startIndex, endIndex + 1);
+    return { records, columns, startKey, endKey };
+}
+
+/**
+ * Say what the CSV will hold, or why it can't be downloaded
+ */
+function updateDownloadSummary() {
+    if (document.getElementById('download-panel').hidden) return;
+    
+    const summary = document.getElementById('download-summary');
+    const { records, columns } = downloadSelection();
+    
+    if (records.length === 0) {
+        summary.textContent = 'Pick From and To quarters, with From no later than To.';
+    } else if (columns.length === 0) {
+        summary.textContent = 'Pick at least one state.';
+    } else {
+        const quarters = records.length === 1 ? '1 quarter' : `${records.length} quarters`;
+        summary.textContent = `${quarters}, ${records[0].dateString} to ${records[records.length - 1].dateString}, `
+            + `for ${columns.join(', ')} from the ${currentVintage.label} release.`;
+    }
+    document.getElementById('download-csv').disabled = records.length === 0 || columns.length === 0;
+}
+
+/**
+ * Download the picked quarters and columns as CSV, laid out like the ABS file
+ */
+function downloadData() {
+    const { records, columns, startKey, endKey } = downloadSelection();
+    if (records.length === 0 || columns.length === 0) return;
+    
+    const names = Object.fromEntries(ALL_COLUMNS.map(column => [column, regionName(column)]));
+    const csv = ChartExport.csv(records, columns, names);
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), `australian-population-${startKey}-to-${endKey}.csv`);
 }
 
 /**
@@ -147,6 +728,127 @@ function updateFromScroll() {
     }
 }
 
+/**
+ * Show a quarter and move the timeline indicator and page scroll to match
+ */
+function goToIndex(index, scrollBehavior = 'auto') {
+    if (index === currentIndex || index < 0 || index >= populationData.length) return;
+    currentIndex = index;
+    updateVisualization(currentIndex);
+    updateTimelineIndicator();
+    scrollToIndex(currentIndex, scrollBehavior);
+}
+
+/**
+ * Scroll the page to where a quarter sits, so scrolling on carries on from it
+ */
+function scrollToIndex(index, behavior = 'auto') {
+    const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
+    if (scrollHeight <= 0) return;
+    
+    // Round up so updateFromScroll maps the whole-pixel position back to this quarter
+    const top = Math.ceil((index / (populationData.length - 1)) * scrollHeight);
+    window.scrollTo({ top, behavior });
+}
+
+/**
+ * Setup the play, pause, step, loop and speed controls and the arrow keys
+ */
+function setupTransport() {
+    const speed = document.getElementById('playback-speed');
+    PopulationPlayback.SPEEDS.forEach(({ label }, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = label;
+        option.selected = i === playback.speed;
+        speed.appendChild(option);
+    });
+    
+    document.getElementById('play-pause').addEventListener('click', togglePlayback);
+    document.getElementById('step-back').addEventListener('click', () => stepQuarter(-1));
+    document.getElementById('step-forward').addEventListener('click', () => stepQuarter(1));
+    document.getElementById('playback-loop').addEventListener('click', () => {
+        playback.loop = !playback.loop;
+        updateTransport();
+    });
+    speed.addEventListener('change', () => {
+        playback.speed = parseInt(speed.value);
+        // Carry on playing at the new speed
+        if (playback.timer !== null) {
+            stopPlayback();
+            startPlayback();
+        }
+    });
+    
+    document.addEventListener('keydown', event => {
+        if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+        if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+        // Leave arrow keys to form controls and open panels
+        if (event.target instanceof Element && event.target.closest('input, select, textarea, .viewer-panel')) return;
+        stepQuarter(event.key === 'ArrowLeft' ? -1 : 1);
+        event.preventDefault();
+    });
+    
+    updateTransport();
+}
+
+/**
+ * Play from the quarter on screen, or pause
+ */
+function togglePlayback() {
+    if (playback.timer !== null) {
+        stopPlayback();
+    } else {
+        goToIndex(PopulationPlayback.startIndex(currentIndex, populationData.length));
+        startPlayback();
+    }
+}
+
+/**
+ * Advance a quarter at a time at the chosen speed, stopping at the end unless looping
+ */
+function startPlayback() {
+    playback.timer = setInterval(() => {
+        const next = PopulationPlayback.step(currentIndex, 1, populationData.length, playback.loop);
+        if (next === null) {
+            stopPlayback();
+        } else {
+            goToIndex(next);
+        }
+    }, PopulationPlayback.interval(playback.speed));
+    updateTransport();
+}
+
+/**
+ * Stop playing, leaving the current quarter on screen
+ */
+function stopPlayback() {
+    clearInterval(playback.timer);
+    playback.timer = null;
+    updateTransport();
+}
+
+/**
+ * Pause and move one quarter back or forward
+ */
+function stepQuarter(delta) {
+    if (playback.timer !== null) stopPlayback();
+    const next = PopulationPlayback.step(currentIndex, delta, populationData.length, playback.loop);
+    if (next !== null) goToIndex(next);
+}
+
+/**
+ * Reflect whether the timeline is playing or looping in the controls
+ */
+function updateTransport() {
+    const playing = playback.timer !== null;
+    const playPause = document.getElementById('play-pause');
+    playPause.textContent = playing ? '⏸' : '▶';
+    playPause.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+    playPause.title = playing ? 'Pause' : 'Play';
+    document.getElementById('playback-loop').setAttribute('aria-pressed', String(playback.loop));
+}
+
 /**
  * Create timeline elements - show key milestones only
  */
@@ -188,15 +890,7 @@ function createTimeline() {
         
         item.innerHTML = `<div class="timeline-item-date">${data.dateString}</div>`;
         
-        item.addEventListener('click', () => {
-            currentIndex = index;
-            updateVisualization(index);
-            updateTimelineIndicator();
-            // Scroll page to match timeline position
-            const scrollPercent = index / (populationData.length - 1);
-            const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
-            window.scrollTo({ top: scrollPercent * scrollHeight, behavior: 'smooth' });
-        });
+        item.addEventListener('click', () => goToIndex(index, 'smooth'));
         
         timeline.appendChild(item);
     });
@@ -238,91 +932,127 @@ function updateVisualization(index) {
     
     // Update charts
     updateBarChart(data);
-    updatePercentageChart(data);
+    updatePercentageChart(index);
     updateLineChart(index);
+    updateGrowthYear();
+    scheduleViewRecord();
 }
 
 /**
- * Update bar chart (population numbers)
+ * Update bar chart (population numbers). The bars are built once and then
+ * updated in place, so they can slide between ranks and grow smoothly.
  */
 function updateBarChart(data) {
     const container = document.getElementById('population-chart');
-    
     const states = Object.keys(STATE_NAMES);
-    const maxPopulation = Math.max(...states.map(state => data[state]));
+    const chart = container.querySelector('.bar-chart') || createBarChart(container, states);
     
-    // Define threshold for small bars
-    const smallBarThreshold = maxPopulation * EXTERNAL_LABEL_THRESHOLD;
+    // Each bar sits at its rank; CSS slides it there when the order changes
+    chart.classList.toggle('racing', barChart.race);
+    BarRace.order(data, states, barChart.race).forEach((state, rank) => {
+        chart.querySelector(`.bar-item[data-state="${state}"]`).style.setProperty('--rank', rank);
+    });
+    
+    cancelAnimationFrame(barChart.frame);
+    const target = {};
+    states.forEach(state => {
+        target[state] = data[state];
+    });
     
-    let html = '<div class="bar-chart">';
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (!barChart.race || reduceMotion) {
+        drawBars(chart, target);
+        return;
+    }
+    
+    // Race from the figures on screen, even if the last tween was cut short
+    const from = { ...barChart.shown };
+    const start = performance.now();
+    const frame = now => {
+        const t = (now - start) / BarRace.TWEEN_MS;
+        const values = {};
+        states.forEach(state => {
+            values[state] = BarRace.tween(from[state] ?? target[state], target[state], t);
+        });
+        drawBars(chart, values);
+        barChart.frame = t < 1 ? requestAnimationFrame(frame) : null;
+    };
+    barChart.frame = requestAnimationFrame(frame);
+}
+
+/**
+ * Build a bar for each state
+ */
+function createBarChart(container, states) {
+    const chart = document.createElement('div');
+    chart.className = 'bar-chart';
+    chart.style.setProperty('--bar-count', states.length);
     
     states.forEach(state => {
-        const population = data[state];
-        const percentage = (population / maxPopulation) * 100;
-        const isSmallBar = population < smallBarThreshold;
-        
-        if (isSmallBar) {
-            // For small bars, show number on the right of the fill, inside container
-            html += `
-                <div class="bar-item">
-                    <div class="bar-label">${state}</div>
-                    <div class="bar-container">
-                        <div class="bar-fill" style="width: ${percentage}%; background: ${STATE_COLORS[state]};"></div>
-                        <span class="bar-value-external" style="left: calc(${percentage}% + 6px);">${formatNumber(population)}</span>
+        chart.insertAdjacentHTML('beforeend', `
+            <div class="bar-item" data-state="${state}">
+                <div class="bar-label">${state}</div>
+                <div class="bar-container">
+                    <div class="bar-fill" style="background: ${STATE_COLORS[state]};">
+                        <span class="bar-value"></span>
                     </div>
+                    <span class="bar-value-external"></span>
                 </div>
-            `;
-        } else {
-            // For large bars, show number inside
-            html += `
-                <div class="bar-item">
-                    <div class="bar-label">${state}</div>
-                    <div class="bar-container">
-                        <div class="bar-fill" style="width: ${percentage}%; background: ${STATE_COLORS[state]};">
-                            <span class="bar-value">${formatNumber(population)}</span>
-                        </div>
-                    </div>
-                </div>
-            `;
-        }
+            </div>
+        `);
     });
     
-    html += '</div>';
-    container.innerHTML = html;
+    container.innerHTML = '';
+    container.appendChild(chart);
+    return chart;
 }
 
 /**
- * Update percentage chart - vertical column chart
+ * Set each bar's width and figure, scaled to the largest
  */
-function updatePercentageChart(data) {
-    const container = document.getElementById('percentage-chart');
+function drawBars(chart, values) {
+    const maxPopulation = Math.max(...Object.values(values));
     
-    const states = Object.keys(STATE_NAMES);
-    const total = data.Aus;
+    // Define threshold for small bars
+    const smallBarThreshold = maxPopulation * EXTERNAL_LABEL_THRESHOLD;
     
-    // Calculate percentages and growth
-    const stateData = states.map(state => {
-        const percentage = (data[state] / total) * 100;
-        let growth = null;
-        
-        // Calculate growth from previous quarter
-        if (currentIndex > 0) {
-            const prevData = populationData[currentIndex - 1];
-            const prevPop = prevData[state];
-            const currentPop = data[state];
-            if (prevPop > 0) {
-                growth = ((currentPop - prevPop) / prevPop) * 100;
-            }
-        }
+    Object.entries(values).forEach(([state, population]) => {
+        const item = chart.querySelector(`.bar-item[data-state="${state}"]`);
+        const percentage = (population / maxPopulation) * 100;
+        const text = formatNumber(Math.round(population));
+        const inside = item.querySelector('.bar-value');
+        const outside = item.querySelector('.bar-value-external');
         
-        return {
-            state,
-            population: data[state],
-            percentage,
-            growth
-        };
+        // Small bars show their number to the right of the fill, large ones inside it
+        const isSmallBar = population < smallBarThreshold;
+        item.querySelector('.bar-fill').style.width = `${percentage}%`;
+        inside.textContent = isSmallBar ? '' : text;
+        outside.textContent = isSmallBar ? text : '';
+        outside.style.left = `calc(${percentage}% + 6px)`;
     });
     
+    barChart.shown = values;
+}
+
+/**
+ * Switch the bar chart between fixed order and a race ranked by population
+ */
+function setBarRace(race) {
+    if (race === barChart.race) return;
+    barChart.race = race;
+    document.getElementById('bar-race').setAttribute('aria-pressed', String(race));
+    updateBarChart(populationData[currentIndex]);
+    scheduleViewRecord();
+}
+
+/**
+ * Update percentage chart - vertical column chart
+ */
+function updatePercentageChart(index) {
+    const container = document.getElementById('percentage-chart');
+    
+    const stateData = stateShares(index);
+    
     // Find max percentage for scaling
     const maxPercentage = Math.max(...stateData.map(d => d.percentage));
     
@@ -357,36 +1087,64 @@ function updatePercentageChart(data) {
 }
 
 /**
- * Update stacked area chart (total population over time by state)
- * Shows all states stacked on top of each other with each state in its own color.
- * Axis is fixed and starts at 0, data reveals progressively as user scrolls.
+ * Each state's share of the national population at a quarter, and its
+ * growth since the quarter before (null for the first quarter)
+ */
+function stateShares(index) {
+    const data = populationData[index];
+    const total = data.Aus;
+    
+    return Object.keys(STATE_NAMES).map(state => {
+        const percentage = (data[state] / total) * 100;
+        let growth = null;
+        
+        // Calculate growth from previous quarter
+        if (index > 0) {
+            const prevPop = populationData[index - 1][state];
+            if (prevPop > 0) {
+                growth = ((data[state] - prevPop) / prevPop) * 100;
+            }
+        }
+        
+        return { state, percentage, growth };
+    });
+}
+
+/**
+ * Update the population time series chart in the current mode: states stacked
+ * as populations or shares, or drawn as separate lines on a linear or log scale.
+ * The axis covers the whole date range and the states on show. The full chart
+ * is drawn once per mode, set of states, release and width; scrolling only
+ * widens the clip that reveals it up to the current quarter.
  */
 function updateLineChart(currentIdx) {
     const container = document.getElementById('line-chart');
     
-    // Only show data up to current index
-    const dataToShow = populationData.slice(0, currentIdx + 1);
+    if (populationData.length === 0) return;
     
-    if (dataToShow.length === 0) return;
-    
-    // SVG dimensions
-    const width = container.clientWidth || 600;
-    const height = 200;
-    const padding = { top: 15, right: 15, bottom: 30, left: 50 };
-    const chartWidth = width - padding.left - padding.right;
-    const chartHeight = height - padding.top - padding.bottom;
-    
-    // Use 0 as minimum, MAX_POPULATION as maximum
-    const minPop = 0;
-    const maxPop = MAX_POPULATION;
-    const popRange = maxPop - minPop;
+    const scales = lineChartScales(container);
+    if (lineChart.drawn !== scales || !container.querySelector('svg')) {
+        container.innerHTML = buildLineChart(scales);
+        lineChart.drawn = scales;
+    }
     
-    const states = Object.keys(STATE_NAMES);
+    // Reveal up to the current quarter, allowing for the width of a line
+    container.querySelector('.line-chart-reveal').setAttribute('width', scales.xAt(currentIdx) + 1);
+    drawLineChartHover();
+}
+
+/**
+ * The whole time series chart as SVG, with every quarter drawn and a clip
+ * path for revealing them
+ */
+function buildLineChart(scales) {
+    const { width, height, padding, chartWidth, states, series, domain, xAt, yAt } = scales;
+    const stacked = PopulationSeries.isStacked(chartMode);
     
     // Create SVG
     let svg = `<svg class="line-chart-svg" width="100%" height="${height}" viewBox="0 0 ${width} ${height}">`;
     
-    // Add gradients for each state in a single defs block
+    // Add gradients for each state and the revealing clip in a single defs block
     svg += '<defs>';
     states.forEach(state => {
         svg += `
@@ -396,78 +1154,26 @@ function updateLineChart(currentIdx) {
             </linearGradient>
         `;
     });
+    svg += `<clipPath id="line-chart-clip"><rect class="line-chart-reveal" x="0" y="0" width="0" height="${height}" /></clipPath>`;
     svg += '</defs>';
     
-    // Add grid lines (based on full range starting at 0)
-    for (let i = 0; i <= 4; i++) {
-        const y = padding.top + (chartHeight / 4) * i;
+    // Add grid lines and value labels across the full range
+    PopulationSeries.ticks(domain, chartMode).forEach(value => {
+        const y = yAt(value);
         svg += `<line class="line-grid" x1="${padding.left}" y1="${y}" x2="${width - padding.right}" y2="${y}" />`;
-        
-        const value = maxPop - (popRange / 4) * i;
-        svg += `<text class="line-label" x="${padding.left - 5}" y="${y + 3}" text-anchor="end">${formatNumberShort(value)}</text>`;
-    }
-    
-    // Generate stacked area data
-    // States are stacked in the order they appear in STATE_NAMES object
-    const stackedPaths = [];
-    
-    states.forEach((state, stateIdx) => {
-        let pathData = '';
-        
-        dataToShow.forEach((data, index) => {
-            const x = padding.left + (chartWidth / (populationData.length - 1)) * index;
-            
-            // Calculate cumulative population up to this state
-            let cumulativePop = 0;
-            for (let i = 0; i <= stateIdx; i++) {
-                cumulativePop += data[states[i]];
-            }
-            
-            // Calculate cumulative population up to previous state (for bottom of area)
-            let cumulativePrevPop = 0;
-            for (let i = 0; i < stateIdx; i++) {
-                cumulativePrevPop += data[states[i]];
-            }
-            
-            const y = padding.top + chartHeight - ((cumulativePop - minPop) / popRange) * chartHeight;
-            const yBottom = padding.top + chartHeight - ((cumulativePrevPop - minPop) / popRange) * chartHeight;
-            
-            if (index === 0) {
-                pathData += `M ${x} ${y}`;
-            } else {
-                pathData += ` L ${x} ${y}`;
-            }
-        });
-        
-        // Create closed path for area by going back along bottom
-        let areaPath = pathData;
-        
-        // Add bottom path in reverse
-        for (let index = dataToShow.length - 1; index >= 0; index--) {
-            const x = padding.left + (chartWidth / (populationData.length - 1)) * index;
-            
-            let cumulativePrevPop = 0;
-            for (let i = 0; i < stateIdx; i++) {
-                cumulativePrevPop += dataToShow[index][states[i]];
-            }
-            
-            const yBottom = padding.top + chartHeight - ((cumulativePrevPop - minPop) / popRange) * chartHeight;
-            areaPath += ` L ${x} ${yBottom}`;
-        }
-        
-        areaPath += ' Z';
-        
-        stackedPaths.push({
-            state,
-            path: areaPath,
-            color: STATE_COLORS[state]
-        });
+        svg += `<text class="line-label" x="${padding.left - 5}" y="${y + 3}" text-anchor="end">${formatAxisValue(value)}</text>`;
     });
     
-    // Draw stacked areas
-    stackedPaths.forEach(({ path, color, state }) => {
-        svg += `<path class="stacked-area" d="${path}" fill="url(#gradient-${state})" opacity="0.9" />`;
+    // States are stacked, bottom up, in the order they appear in STATE_NAMES
+    svg += '<g clip-path="url(#line-chart-clip)">';
+    states.forEach(state => {
+        if (stacked) {
+            svg += `<path class="stacked-area" data-state="${state}" d="${PopulationSeries.areaPath(series[state], xAt, yAt)}" fill="url(#gradient-${state})" opacity="0.9" />`;
+        } else {
+            svg += `<path class="state-line" data-state="${state}" d="${PopulationSeries.linePath(series[state], xAt, yAt)}" stroke="${STATE_COLORS[state]}" />`;
+        }
     });
+    svg += '</g>';
     
     // Add x-axis labels (based on full range)
     const firstYear = populationData[0].date.getFullYear();
@@ -483,8 +1189,426 @@ function updateLineChart(currentIdx) {
     });
     
     svg += '</svg>';
+    return svg;
+}
+
+/**
+ * Size of the time series chart and its plotting area, in SVG units. The
+ * width is measured once and then kept up to date by setupLineChartResize.
+ */
+function lineChartLayout(container) {
+    if (lineChart.width === null) {
+        lineChart.width = container.clientWidth || 600;
+    }
+    const width = lineChart.width;
+    const height = LINE_CHART_HEIGHT;
+    const padding = LINE_CHART_PADDING;
+    return {
+        width,
+        height,
+        padding,
+        chartWidth: width - padding.left - padding.right,
+        chartHeight: height - padding.top - padding.bottom
+    };
+}
+
+/**
+ * The chart layout with the series for the current mode and states, and
+ * functions placing a quarter's index and a value in SVG units. Worked out
+ * once and reused until the data, mode, states or width change.
+ */
+function lineChartScales(container) {
+    const layout = lineChartLayout(container);
+    const states = visibleStates();
+    const key = [currentVintage.id, chartMode, states.join(','), layout.width].join('|');
+    if (lineChart.scales && lineChart.scales.key === key) return lineChart.scales;
+    
+    const { padding, chartWidth, chartHeight } = layout;
+    const series = PopulationSeries.build(populationData, states, chartMode);
+    const domain = PopulationSeries.domain(series, chartMode);
+    
+    lineChart.scales = {
+        ...layout,
+        key,
+        states,
+        series,
+        domain,
+        xAt: index => padding.left + (chartWidth / (populationData.length - 1)) * index,
+        yAt: value => padding.top + chartHeight - PopulationSeries.position(value, domain, chartMode) * chartHeight
+    };
+    return lineChart.scales;
+}
+
+/**
+ * Redraw the time series chart when its container changes width, e.g. when
+ * the window is resized or a phone is turned
+ */
+function setupLineChartResize() {
+    const container = document.getElementById('line-chart');
+    const resize = width => {
+        if (width === 0 || width === lineChart.width) return;
+        lineChart.width = width;
+        updateLineChart(currentIndex);
+    };
+    
+    if (typeof ResizeObserver !== 'undefined') {
+        new ResizeObserver(entries => resize(Math.round(entries[0].contentRect.width))).observe(container);
+    } else {
+        window.addEventListener('resize', () => resize(container.clientWidth));
+    }
+}
+
+/**
+ * Label for a value on the chart's axis
+ */
+function formatAxisValue(value) {
+    return chartMode === 'share' ? `${Math.round(value)}%` : formatNumberShort(value);
+}
+
+/**
+ * States shown on the time series chart, in stacking order
+ */
+function visibleStates() {
+    return Object.keys(STATE_NAMES).filter(state => !hiddenStates.has(state));
+}
+
+/**
+ * Setup the chart mode buttons and the legend that shows and hides states
+ */
+function setupLineChartControls() {
+    document.querySelectorAll('[data-chart-mode]').forEach(button => {
+        button.addEventListener('click', () => setChartMode(button.dataset.chartMode));
+    });
+    
+    const legend = document.getElementById('line-chart-legend');
+    Object.keys(STATE_NAMES).forEach(state => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'legend-item';
+        item.dataset.state = state;
+        item.title = STATE_NAMES[state];
+        item.innerHTML = `<span class="state-swatch" style="background: ${STATE_COLORS[state]};"></span>${state}`;
+        item.addEventListener('click', () => toggleState(state));
+        legend.appendChild(item);
+    });
+    
+    updateLineChartControls();
+}
+
+/**
+ * Switch the time series chart between stacked, 100%, lines and log lines
+ */
+function setChartMode(mode) {
+    if (!PopulationSeries.MODES.includes(mode) || mode === chartMode) return;
+    chartMode = mode;
+    updateLineChartControls();
+    updateLineChart(currentIndex);
+    scheduleViewRecord();
+}
+
+/**
+ * Show or hide a state on the time series chart. The last state on show stays.
+ */
+function toggleState(state) {
+    if (hiddenStates.has(state)) {
+        hiddenStates.delete(state);
+    } else if (visibleStates().length > 1) {
+        hiddenStates.add(state);
+    } else {
+        return;
+    }
+    updateLineChartControls();
+    updateLineChart(currentIndex);
+    scheduleViewRecord();
+}
+
+/**
+ * Reflect the chart mode and hidden states in the title, buttons and legend
+ */
+function updateLineChartControls() {
+    document.getElementById('line-chart-title').textContent = LINE_CHART_TITLES[chartMode];
+    document.querySelectorAll('[data-chart-mode]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.chartMode === chartMode));
+    });
     
-    container.innerHTML = svg;
+    const lastVisible = visibleStates().length === 1;
+    document.querySelectorAll('#line-chart-legend .legend-item').forEach(item => {
+        const shown = !hiddenStates.has(item.dataset.state);
+        item.setAttribute('aria-pressed', String(shown));
+        item.disabled = shown && lastVisible;
+    });
+}
+
+/**
+ * Setup the crosshair and tooltip on the time series chart. Pointer events
+ * cover mouse, pen and touch: a touch shows the tooltip and leaves it up,
+ * dragging sideways moves it, and tapping elsewhere hides it.
+ */
+function setupLineChartHover() {
+    const container = document.getElementById('line-chart');
+    
+    const track = event => {
+        lineChartHover = lineChartPoint(container, event.clientX, event.clientY);
+        drawLineChartHover();
+    };
+    container.addEventListener('pointermove', track);
+    container.addEventListener('pointerdown', track);
+    container.addEventListener('pointerleave', event => {
+        if (event.pointerType === 'mouse') hideLineChartHover();
+    });
+    document.addEventListener('pointerdown', event => {
+        if (!container.contains(event.target)) hideLineChartHover();
+    });
+}
+
+/**
+ * The quarter nearest a pointer position on the chart, no later than the
+ * quarter on screen, and the state under it: the band the pointer is in, or
+ * the nearest line within reach (null if none)
+ */
+function lineChartPoint(container, clientX, clientY) {
+    const svg = container.querySelector('svg');
+    if (!svg) return null;
+    
+    const { width, padding, chartWidth, states, series, yAt } = lineChartScales(container);
+    const rect = svg.getBoundingClientRect();
+    const scale = rect.width > 0 ? width / rect.width : 1;
+    const x = (clientX - rect.left) * scale;
+    const y = (clientY - rect.top) * scale;
+    
+    const nearest = Math.round(((x - padding.left) / chartWidth) * (populationData.length - 1));
+    const index = Math.max(0, Math.min(currentIndex, nearest));
+    
+    if (PopulationSeries.isStacked(chartMode)) {
+        // SVG y grows downwards, so a band's top is its smaller y
+        const state = states.find(state => {
+            const { low, high } = series[state][index];
+            return y >= yAt(high) && y <= yAt(low);
+        });
+        return { index, state: state || null };
+    }
+    
+    let state = null;
+    let closest = LINE_HOVER_DISTANCE;
+    states.forEach(candidate => {
+        const distance = Math.abs(yAt(series[candidate][index].high) - y);
+        if (distance <= closest) {
+            state = candidate;
+            closest = distance;
+        }
+    });
+    return { index, state };
+}
+
+/**
+ * Draw the crosshair, highlight the state and fill the tooltip for the hovered
+ * quarter. Called on every pointer move and after each redraw of the chart.
+ */
+function drawLineChartHover() {
+    const container = document.getElementById('line-chart');
+    const tooltip = document.getElementById('line-chart-tooltip');
+    const svg = container.querySelector('svg');
+    if (!svg || !tooltip) return;
+    
+    svg.querySelector('.line-crosshair')?.remove();
+    svg.querySelectorAll('[data-state]').forEach(path => {
+        path.classList.toggle('highlighted', Boolean(lineChartHover) && path.dataset.state === lineChartHover.state);
+        path.classList.toggle('dimmed', Boolean(lineChartHover && lineChartHover.state) && path.dataset.state !== lineChartHover.state);
+    });
+    if (!lineChartHover) {
+        tooltip.hidden = true;
+        return;
+    }
+    
+    // Scrolling back can leave the hovered quarter past the data on screen
+    const index = Math.min(lineChartHover.index, currentIndex);
+    const data = populationData[index];
+    const { width, padding, chartWidth, chartHeight } = lineChartLayout(container);
+    const x = padding.left + (chartWidth / (populationData.length - 1)) * index;
+    
+    const crosshair = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    crosshair.setAttribute('class', 'line-crosshair');
+    crosshair.setAttribute('x1', x);
+    crosshair.setAttribute('x2', x);
+    crosshair.setAttribute('y1', padding.top);
+    crosshair.setAttribute('y2', padding.top + chartHeight);
+    svg.appendChild(crosshair);
+    
+    // List the states in the order they appear on screen: top band first, or highest line first
+    const states = PopulationSeries.isStacked(chartMode)
+        ? visibleStates().reverse()
+        : visibleStates().sort((a, b) => data[b] - data[a]);
+    const total = PopulationSeries.total(data, states, chartMode);
+    let html = `<div class="chart-tooltip-date">${data.dateString}</div><table>`;
+    states.forEach(state => {
+        html += `
+            <tr${state === lineChartHover.state ? ' class="highlighted"' : ''}>
+                <td><span class="state-swatch" style="background: ${STATE_COLORS[state]};"></span>${state}</td>
+                <td>${formatNumber(data[state])}</td>
+                <td>${((data[state] / total.value) * 100).toFixed(1)}%</td>
+            </tr>
+        `;
+    });
+    html += `<tr class="chart-tooltip-total"><td>${total.label}</td><td>${formatNumber(total.value)}</td><td></td></tr></table>`;
+    tooltip.innerHTML = html;
+    tooltip.hidden = false;
+    
+    // Sit beside the crosshair, on whichever side has more room
+    const svgRect = svg.getBoundingClientRect();
+    const parentRect = tooltip.offsetParent ? tooltip.offsetParent.getBoundingClientRect() : svgRect;
+    const scale = svgRect.width > 0 ? svgRect.width / width : 1;
+    const left = svgRect.left - parentRect.left + x * scale;
+    const onRight = x < width / 2;
+    tooltip.style.left = `${left}px`;
+    tooltip.style.transform = onRight ? 'translateX(12px)' : 'translateX(calc(-100% - 12px))';
+}
+
+/**
+ * Remove the crosshair and tooltip
+ */
+function hideLineChartHover() {
+    if (!lineChartHover) return;
+    lineChartHover = null;
+    drawLineChartHover();
+}
+
+/**
+ * Setup the SVG and PNG export buttons on each chart
+ */
+function setupExports() {
+    document.querySelectorAll('[data-export]').forEach(button => {
+        button.addEventListener('click', () => exportChart(button.dataset.export, button.dataset.format));
+    });
+}
+
+/**
+ * Download a chart as it stands at the quarter on screen, as SVG or PNG
+ */
+async function exportChart(chart, format) {
+    const status = document.getElementById('viewer-status');
+    const { svg, width, height } = chartSvg(chart);
+    const filename = `australian-population-${chart}-${PopulationVintages.quarterKey(populationData[currentIndex].date)}`;
+    
+    if (format === 'svg') {
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${filename}.svg`);
+        return;
+    }
+    
+    try {
+        downloadBlob(await svgToPng(svg, width, height), `${filename}.png`);
+        status.textContent = '';
+    } catch (error) {
+        console.error('Error exporting chart:', error);
+        status.textContent = `Couldn't export the chart. ${error.message}`;
+    }
+}
+
+/**
+ * A chart as a standalone SVG with its title, date and source:
+ * { svg, width, height }. The bar and distribution charts are redrawn from
+ * the data; the time series chart is copied as drawn.
+ */
+function chartSvg(chart) {
+    const data = populationData[currentIndex];
+    const source = `${EXPORT_SOURCE} (${currentVintage.label})`;
+    
+    if (chart === 'bar') {
+        const rows = BarRace.order(data, Object.keys(STATE_NAMES), barChart.race).map(state => ({
+            label: state,
+            value: data[state],
+            color: STATE_COLORS[state]
+        }));
+        return ChartExport.frame({
+            title: 'Population by State',
+            subtitle: `${data.dateString} · Australia ${formatNumber(data.Aus)}`,
+            source,
+            ...ChartExport.barChart(rows, formatNumber)
+        });
+    }
+    
+    if (chart === 'percentage') {
+        const columns = stateShares(currentIndex).map(({ state, percentage, growth }) => ({
+            label: state,
+            share: percentage,
+            growth,
+            color: STATE_COLORS[state]
+        }));
+        return ChartExport.frame({
+            title: 'State Distribution',
+            subtitle: `${data.dateString} · Share of the national population, and growth over the quarter`,
+            source,
+            ...ChartExport.percentageChart(columns)
+        });
+    }
+    
+    const { width, height } = lineChart.drawn;
+    return ChartExport.frame({
+        title: document.getElementById('line-chart-title').textContent,
+        subtitle: `${populationData[0].dateString} to ${data.dateString}`,
+        source,
+        ...ChartExport.embed(lineChartMarkup(), width, height)
+    });
+}
+
+/**
+ * The time series chart's SVG contents as XML, without the crosshair or
+ * highlighting from the pointer
+ */
+function lineChartMarkup() {
+    const svg = document.querySelector('#line-chart svg').cloneNode(true);
+    svg.querySelector('.line-crosshair')?.remove();
+    svg.querySelectorAll('.highlighted, .dimmed').forEach(path => path.classList.remove('highlighted', 'dimmed'));
+    
+    const serializer = new XMLSerializer();
+    return Array.from(svg.childNodes, node => serializer.serializeToString(node)).join('');
+}
+
+/**
+ * Draw an SVG onto a canvas at high resolution and encode it as a PNG blob
+ */
+function svgToPng(svg, width, height) {
+    const scale = Math.max(EXPORT_PNG_SCALE, window.devicePixelRatio || 1);
+    
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('The browser could not encode the image.'));
+                }
+            }, 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The chart could not be drawn as an image.'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Save a blob through the browser's downloads
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 /**
@@ -505,6 +1629,16 @@ function formatNumber(num) {
     return num.toLocaleString('en-AU');
 }
 
+/**
+ * Format number with an explicit sign, e.g. +1,234 or -0.05
+ */
+function formatSigned(num, decimals) {
+    const text = decimals === undefined
+        ? formatNumber(Math.abs(num))
+        : Math.abs(num).toFixed(decimals);
+    return `${num < 0 ? '-' : '+'}${text}`;
+}
+
 /**
  * Format number in short form (e.g., 14.2M)
  */
@@ -525,7 +1659,9 @@ function displayError(message) {
     main.innerHTML = `
         <div class="title-section">
             <h1>Error</h1>
-            <p style="color: var(--text-secondary);">${message}</p>
+            <p style="color: var(--text-secondary);"></p>
         </div>
     `;
+    // The message can quote the data file, so it's set as text rather than HTML
+    main.querySelector('p').textContent = message;
 }
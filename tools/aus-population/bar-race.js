@@ -0,0 +1,39 @@
+/**
+ * Bar Chart Race
+ * Ordering and easing for the population bar chart's race mode, where bars
+ * sort by population and glide to each new quarter's figures.
+ */
+
+const BarRace = {
+    TWEEN_MS: 300, // How long bars take to reach a new quarter's figures
+
+    /**
+     * States in the order their bars are drawn: largest population first when
+     * racing, otherwise as listed. Ties keep the listed order.
+     */
+    order(data, states, byPopulation) {
+        if (!byPopulation) return [...states];
+        return [...states].sort((a, b) => data[b] - data[a]);
+    },
+
+    /**
+     * Ease out: quick at first, settling gently at the end
+     */
+    ease(t) {
+        return 1 - Math.pow(1 - t, 3);
+    },
+
+    /**
+     * Value a fraction t of the way from one figure to another, eased.
+     * t is clamped to 0..1 so late frames land exactly on the target.
+     */
+    tween(from, to, t) {
+        const progress = Math.min(1, Math.max(0, t));
+        return from + (to - from) * this.ease(progress);
+    }
+};
+
+// Allow the race helpers to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BarRace;
+}
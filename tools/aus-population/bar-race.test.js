@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BarRace = require('./bar-race.js');
+
+const STATES = ['NSW', 'Vic', 'Qld', 'WA'];
+
+test('racing bars sort by population, keeping the listed order on ties', () => {
+    const data = { NSW: 500, Vic: 700, Qld: 500, WA: 900 };
+    assert.deepEqual(BarRace.order(data, STATES, true), ['WA', 'Vic', 'NSW', 'Qld']);
+    assert.deepEqual(BarRace.order(data, STATES, false), STATES);
+    // The list passed in is left alone
+    assert.deepEqual(STATES, ['NSW', 'Vic', 'Qld', 'WA']);
+});
+
+test('tweens start and end on the figures and move steadily between them', () => {
+    assert.equal(BarRace.tween(100, 200, 0), 100);
+    assert.equal(BarRace.tween(100, 200, 1), 200);
+    assert.equal(BarRace.tween(100, 200, 1.7), 200);
+    assert.equal(BarRace.tween(100, 200, -0.2), 100);
+    assert.equal(BarRace.tween(200, 100, 1), 100);
+
+    let previous = 100;
+    for (let t = 0.1; t <= 1; t += 0.1) {
+        const value = BarRace.tween(100, 200, t);
+        assert.ok(value >= previous);
+        previous = value;
+    }
+    // Eased out, so more than halfway there at the halfway point
+    assert.ok(BarRace.tween(100, 200, 0.5) > 150);
+});
@@ -0,0 +1,168 @@
+/**
+ * Chart Export
+ * Standalone SVG versions of the population charts, framed with a title,
+ * date and source so they read well on a slide, and CSV for a slice of the
+ * data. The SVG carries its own colours and styles, as it is opened away
+ * from the viewer's stylesheet.
+ */
+
+const ChartExport = {
+    WIDTH: 720,
+    PADDING: 24,
+    HEADER_HEIGHT: 72, // Title and date above the chart
+    FOOTER_HEIGHT: 36, // Source below the chart
+    FONT: 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif',
+    THEME: {
+        background: '#ffffff',
+        text: '#1e293b',
+        muted: '#64748b',
+        grid: '#e2e8f0'
+    },
+    BAR_ROW_HEIGHT: 30,
+    BAR_HEIGHT: 22,
+    BAR_LABEL_WIDTH: 48,
+    BAR_VALUE_SPACE: 96, // Room for the figure after the longest bar
+    COLUMN_MAX_HEIGHT: 160,
+    COLUMN_LABELS_HEIGHT: 52, // State, share and growth under each column
+
+    /**
+     * Width of the chart inside the frame
+     */
+    contentWidth() {
+        return this.WIDTH - 2 * this.PADDING;
+    },
+
+    /**
+     * A standalone SVG document around a chart body:
+     * { svg, width, height }
+     */
+    frame({ title, subtitle, source, body, bodyHeight }) {
+        const width = this.WIDTH;
+        const height = this.HEADER_HEIGHT + bodyHeight + this.FOOTER_HEIGHT;
+        const { background, text, muted, grid } = this.THEME;
+
+        // Classes used by the time series chart, which is embedded as drawn
+        const style = `
+            .line-grid { stroke: ${grid}; stroke-width: 1; stroke-dasharray: 4; }
+            .line-label { fill: ${muted}; font-size: 11px; }
+            .state-line { fill: none; stroke-width: 2; stroke-linecap: round; stroke-linejoin: round; }
+            .stacked-area { stroke: none; }
+        `;
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family='${this.FONT}'>`
+            + `<style>${style}</style>`
+            + `<rect width="${width}" height="${height}" fill="${background}" />`
+            + `<text x="${this.PADDING}" y="32" font-size="20" font-weight="600" fill="${text}">${this.escape(title)}</text>`
+            + `<text x="${this.PADDING}" y="54" font-size="13" fill="${muted}">${this.escape(subtitle)}</text>`
+            + `<g transform="translate(${this.PADDING}, ${this.HEADER_HEIGHT})">${body}</g>`
+            + `<text x="${this.PADDING}" y="${height - 14}" font-size="11" fill="${muted}">${this.escape(source)}</text>`
+            + '</svg>';
+        return { svg, width, height };
+    },
+
+    /**
+     * Horizontal bars from rows of { label, value, color }, top to bottom,
+     * each labelled with its figure: { body, bodyHeight }
+     */
+    barChart(rows, formatValue) {
+        const max = Math.max(...rows.map(row => row.value));
+        const barSpace = this.contentWidth() - this.BAR_LABEL_WIDTH - this.BAR_VALUE_SPACE;
+        const { text, muted } = this.THEME;
+
+        const body = rows.map(({ label, value, color }, i) => {
+            const y = i * this.BAR_ROW_HEIGHT;
+            const barWidth = max > 0 ? (value / max) * barSpace : 0;
+            const middle = y + this.BAR_HEIGHT / 2 + 4;
+            return `<text x="0" y="${middle}" font-size="12" font-weight="500" fill="${muted}">${this.escape(label)}</text>`
+                + `<rect x="${this.BAR_LABEL_WIDTH}" y="${y}" width="${barWidth}" height="${this.BAR_HEIGHT}" rx="4" fill="${color}" />`
+                + `<text x="${this.BAR_LABEL_WIDTH + barWidth + 6}" y="${middle}" font-size="12" font-weight="600" fill="${text}">${this.escape(formatValue(value))}</text>`;
+        }).join('');
+
+        return { body, bodyHeight: rows.length * this.BAR_ROW_HEIGHT };
+    },
+
+    /**
+     * Vertical columns from { label, share, growth, color }, share and growth
+     * in percent (growth may be null): { body, bodyHeight }
+     */
+    percentageChart(columns) {
+        const max = Math.max(...columns.map(column => column.share));
+        const slot = this.contentWidth() / columns.length;
+        const columnWidth = slot * 0.6;
+        const baseline = this.COLUMN_MAX_HEIGHT;
+        const { text, muted } = this.THEME;
+
+        const body = columns.map(({ label, share, growth, color }, i) => {
+            const height = max > 0 ? (share / max) * this.COLUMN_MAX_HEIGHT : 0;
+            const centre = slot * i + slot / 2;
+            let column = `<rect x="${centre - columnWidth / 2}" y="${baseline - height}" width="${columnWidth}" height="${height}" rx="3" fill="${color}" />`
+                + `<text x="${centre}" y="${baseline + 16}" font-size="12" font-weight="600" text-anchor="middle" fill="${text}">${this.escape(label)}</text>`
+                + `<text x="${centre}" y="${baseline + 32}" font-size="11" text-anchor="middle" fill="${muted}">${share.toFixed(1)}%</text>`;
+            if (growth !== null) {
+                column += `<text x="${centre}" y="${baseline + 46}" font-size="10" text-anchor="middle" fill="${muted}">${growth >= 0 ? '+' : ''}${growth.toFixed(1)}%</text>`;
+            }
+            return column;
+        }).join('');
+
+        return { body, bodyHeight: baseline + this.COLUMN_LABELS_HEIGHT };
+    },
+
+    /**
+     * An SVG drawn in the viewer (its inner markup and viewBox size), scaled
+     * to fit the frame: { body, bodyHeight }
+     */
+    embed(markup, viewWidth, viewHeight) {
+        const width = this.contentWidth();
+        const height = (viewHeight / viewWidth) * width;
+        return {
+            body: `<svg x="0" y="0" width="${width}" height="${height}" viewBox="0 0 ${viewWidth} ${viewHeight}">${markup}</svg>`,
+            bodyHeight: height
+        };
+    },
+
+    /**
+     * Records as CSV in the layout of the ABS file the viewer loads: a row of
+     * full names, a row of abbreviations, then a row per quarter
+     */
+    csv(records, columns, names) {
+        const rows = [
+            ['Year', ...columns.map(column => names[column])],
+            ['Abbreviation', ...columns],
+            ...records.map(record => [this.isoDate(record.date), ...columns.map(column => record[column])])
+        ];
+        return rows.map(row => row.map(field => this.csvField(field)).join(',')).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * A CSV field, quoted when it holds a comma, quote or line break
+     */
+    csvField(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * A date as YYYY-MM-DD, in local time like the loader reads it
+     */
+    isoDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Text made safe to place in SVG markup
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
+
+// Allow exports to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartExport;
+}
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const ChartExport = require('./chart-export.js');
+const PopulationCsv = require('./population-csv.js');
+
+const BUNDLED_FILE = path.join(__dirname, '../../data/australia_population_20250918.csv');
+const NAMES = {
+    NSW: 'New South Wales', Vic: 'Victoria', Qld: 'Queensland', SA: 'South Australia', WA: 'Western Australia',
+    Tas: 'Tasmania', NT: 'Northern Territory', ACT: 'Australian Capital Territory', Aus: 'Australia'
+};
+
+test('exported charts are framed with a title, date and source', () => {
+    const { body, bodyHeight } = ChartExport.barChart([
+        { label: 'NSW', value: 8000, color: '#3b82f6' },
+        { label: 'NT', value: 2000, color: '#f97316' }
+    ], value => `${value} people`);
+    const { svg, width, height } = ChartExport.frame({
+        title: 'Population by State',
+        subtitle: 'March 2025',
+        source: 'Source: ABS <Sep 2025> & co',
+        body,
+        bodyHeight
+    });
+
+    assert.equal(width, ChartExport.WIDTH);
+    assert.equal(height, ChartExport.HEADER_HEIGHT + 2 * ChartExport.BAR_ROW_HEIGHT + ChartExport.FOOTER_HEIGHT);
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    assert.match(svg, />Population by State</);
+    assert.match(svg, />March 2025</);
+    assert.match(svg, />Source: ABS &lt;Sep 2025&gt; &amp; co</);
+    assert.match(svg, />8000 people</);
+
+    // The longest bar fills the space left for bars; the others scale with it
+    const widths = [...body.matchAll(/<rect [^>]*width="([\d.]+)"/g)].map(match => Number(match[1]));
+    const barSpace = ChartExport.contentWidth() - ChartExport.BAR_LABEL_WIDTH - ChartExport.BAR_VALUE_SPACE;
+    assert.deepEqual(widths, [barSpace, barSpace / 4]);
+});
+
+test('percentage columns show share and growth, and embedded charts keep their proportions', () => {
+    const { body, bodyHeight } = ChartExport.percentageChart([
+        { label: 'NSW', share: 31.2, growth: 0.4, color: '#3b82f6' },
+        { label: 'Vic', share: 25.6, growth: null, color: '#8b5cf6' }
+    ]);
+    assert.equal(bodyHeight, ChartExport.COLUMN_MAX_HEIGHT + ChartExport.COLUMN_LABELS_HEIGHT);
+    assert.match(body, />31.2%</);
+    assert.match(body, />\+0.4%</);
+    assert.equal((body.match(/%</g) || []).length, 3);
+
+    const embedded = ChartExport.embed('<path d="M 0 0" />', 600, 200);
+    assert.equal(embedded.bodyHeight, ChartExport.contentWidth() / 3);
+    assert.match(embedded.body, /viewBox="0 0 600 200"><path d="M 0 0" \/><\/svg>$/);
+});
+
+test('downloaded data reloads through the CSV loader', () => {
+    const records = PopulationCsv.parse(fs.readFileSync(BUNDLED_FILE, 'utf8')).slice(10, 14);
+    const text = ChartExport.csv(records, PopulationCsv.COLUMNS, NAMES);
+    assert.deepEqual(PopulationCsv.parse(text), records);
+
+    // A slice of the columns keeps the layout
+    const lines = ChartExport.csv(records, ['NT', 'ACT'], NAMES).trim().split('\r\n');
+    assert.deepEqual(lines.slice(0, 2), ['Year,Northern Territory,Australian Capital Territory', 'Abbreviation,NT,ACT']);
+    assert.equal(lines.length, 6);
+    assert.match(lines[2], /^1983-12-01,\d+,\d+$/);
+
+    assert.equal(ChartExport.csvField('say "hi", then go'), '"say ""hi"", then go"');
+});
@@ -0,0 +1,132 @@
+/**
+ * Population Chart Series
+ * What the time-series chart plots in each mode: states stacked as
+ * populations or as shares of 100%, or as independent lines on a linear or
+ * log scale, with an axis fitted to the states on show.
+ */
+
+const PopulationSeries = {
+    MODES: ['stacked', 'share', 'lines', 'log'],
+    LINEAR_TICKS: 4, // Intervals on a linear axis
+    LOG_TICK_STEPS: [1, 2, 5], // Multiples of each power of ten labelled on a log axis
+
+    /**
+     * Whether the mode stacks states into bands rather than drawing lines
+     */
+    isStacked(mode) {
+        return mode === 'stacked' || mode === 'share';
+    },
+
+    /**
+     * Points to plot for each state at every quarter, as
+     * { NSW: [{ low, high }, ...], ... }. Stacked modes give each band's
+     * bottom and top, in the order the states are listed; line modes give
+     * low === high === the state's population. Shares are of the listed
+     * states' combined population.
+     */
+    build(records, states, mode) {
+        if (!this.MODES.includes(mode)) {
+            throw new RangeError(`Unknown chart mode "${mode}"`);
+        }
+
+        const series = {};
+        states.forEach(state => {
+            series[state] = [];
+        });
+
+        records.forEach(record => {
+            const total = states.reduce((sum, state) => sum + record[state], 0);
+            let base = 0;
+            states.forEach(state => {
+                const value = mode === 'share' ? (total > 0 ? (record[state] / total) * 100 : 0) : record[state];
+                if (this.isStacked(mode)) {
+                    series[state].push({ low: base, high: base + value });
+                    base += value;
+                } else {
+                    series[state].push({ low: value, high: value });
+                }
+            });
+        });
+        return series;
+    },
+
+    /**
+     * What a quarter's shares are taken of, as { label, value }: in share mode
+     * the states on show, as the bands are; otherwise the national total
+     */
+    total(record, states, mode) {
+        if (mode === 'share') {
+            return { label: 'Shown', value: states.reduce((sum, state) => sum + record[state], 0) };
+        }
+        return { label: 'Aus', value: record.Aus };
+    },
+
+    /**
+     * [min, max] of the value axis. It covers every quarter, so the axis stays
+     * put while the chart reveals the data; a log axis runs between powers of ten.
+     */
+    domain(series, mode) {
+        if (mode === 'share') return [0, 100];
+
+        const values = Object.values(series).flatMap(points => points.map(point => point.high));
+        const max = Math.max(...values);
+        if (mode !== 'log') return [0, max];
+
+        const low = Math.pow(10, Math.floor(Math.log10(Math.min(...values))));
+        const high = Math.pow(10, Math.ceil(Math.log10(max)));
+        return [low, high > low ? high : low * 10];
+    },
+
+    /**
+     * Where a value sits on the axis, from 0 at the bottom to 1 at the top
+     */
+    position(value, domain, mode) {
+        const [min, max] = domain;
+        if (mode === 'log') {
+            return (Math.log10(value) - Math.log10(min)) / (Math.log10(max) - Math.log10(min));
+        }
+        return (value - min) / (max - min);
+    },
+
+    /**
+     * SVG path along the tops of the points, given functions placing a
+     * quarter's index and a value on the chart
+     */
+    linePath(points, xAt, yAt) {
+        return points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${xAt(index)} ${yAt(point.high)}`).join(' ');
+    },
+
+    /**
+     * Closed SVG path for a band: along the tops, then back along the bottoms
+     */
+    areaPath(points, xAt, yAt) {
+        let path = this.linePath(points, xAt, yAt);
+        for (let index = points.length - 1; index >= 0; index--) {
+            path += ` L ${xAt(index)} ${yAt(points[index].low)}`;
+        }
+        return `${path} Z`;
+    },
+
+    /**
+     * Values to label on the axis, lowest first
+     */
+    ticks(domain, mode) {
+        const [min, max] = domain;
+        if (mode !== 'log') {
+            return Array.from({ length: this.LINEAR_TICKS + 1 }, (_, i) => min + ((max - min) / this.LINEAR_TICKS) * i);
+        }
+
+        const ticks = [];
+        for (let power = min; power <= max; power *= 10) {
+            this.LOG_TICK_STEPS.forEach(step => {
+                if (power * step <= max) ticks.push(power * step);
+            });
+        }
+        return ticks;
+    }
+};
+
+// Allow the series to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PopulationSeries;
+}
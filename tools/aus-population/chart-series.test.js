@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PopulationSeries = require('./chart-series.js');
+
+const RECORDS = [
+    { NSW: 600, Vic: 300, NT: 100 },
+    { NSW: 800, Vic: 400, NT: 800 }
+];
+
+test('stacked modes give each band its bottom and top', () => {
+    const stacked = PopulationSeries.build(RECORDS, ['NSW', 'Vic', 'NT'], 'stacked');
+    assert.deepEqual(stacked.NSW, [{ low: 0, high: 600 }, { low: 0, high: 800 }]);
+    assert.deepEqual(stacked.NT, [{ low: 900, high: 1000 }, { low: 1200, high: 2000 }]);
+    assert.deepEqual(PopulationSeries.domain(stacked, 'stacked'), [0, 2000]);
+
+    // Shares are of the states on show, so hiding one still fills to 100%
+    const share = PopulationSeries.build(RECORDS, ['NSW', 'Vic'], 'share');
+    assert.ok(Math.abs(share.Vic[0].high - 100) < 1e-9);
+    assert.ok(Math.abs(share.NSW[0].high - 200 / 3) < 1e-9);
+    assert.equal(share.NT, undefined);
+    assert.deepEqual(PopulationSeries.domain(share, 'share'), [0, 100]);
+});
+
+test('shares in share mode are of the states on show, otherwise of Australia', () => {
+    const record = { NSW: 600, Vic: 300, NT: 100, Aus: 1010 };
+    const shown = PopulationSeries.total(record, ['NSW', 'Vic'], 'share');
+    assert.deepEqual(shown, { label: 'Shown', value: 900 });
+
+    // The tooltip's share matches the height of the state's band
+    const share = PopulationSeries.build([record], ['NSW', 'Vic'], 'share');
+    assert.ok(Math.abs((record.Vic / shown.value) * 100 - (share.Vic[0].high - share.Vic[0].low)) < 1e-9);
+
+    assert.deepEqual(PopulationSeries.total(record, ['NSW', 'Vic'], 'stacked'), { label: 'Aus', value: 1010 });
+    assert.deepEqual(PopulationSeries.total(record, ['NSW'], 'lines'), { label: 'Aus', value: 1010 });
+});
+
+test('line modes plot each state on its own, with the axis fitted to those shown', () => {
+    const lines = PopulationSeries.build(RECORDS, ['Vic', 'NT'], 'lines');
+    assert.deepEqual(lines.Vic, [{ low: 300, high: 300 }, { low: 400, high: 400 }]);
+    assert.deepEqual(PopulationSeries.domain(lines, 'lines'), [0, 800]);
+    assert.deepEqual(PopulationSeries.ticks([0, 800], 'lines'), [0, 200, 400, 600, 800]);
+    assert.equal(PopulationSeries.position(200, [0, 800], 'lines'), 0.25);
+
+    assert.throws(() => PopulationSeries.build(RECORDS, ['NSW'], 'pie'), RangeError);
+});
+
+test('the log scale runs between powers of ten', () => {
+    const log = PopulationSeries.build(RECORDS, ['NSW', 'NT'], 'log');
+    assert.deepEqual(PopulationSeries.domain(log, 'log'), [100, 1000]);
+    assert.deepEqual(PopulationSeries.ticks([100, 1000], 'log'), [100, 200, 500, 1000]);
+    assert.equal(PopulationSeries.position(100, [100, 10000], 'log'), 0);
+    assert.equal(PopulationSeries.position(1000, [100, 10000], 'log'), 0.5);
+
+    // A single state sitting on a power of ten still gets a range to plot in
+    assert.deepEqual(PopulationSeries.domain({ NSW: [{ low: 100, high: 100 }] }, 'log'), [100, 1000]);
+});
+
+test('paths run along the tops and back along the bottoms of bands', () => {
+    const points = [{ low: 0, high: 10 }, { low: 5, high: 20 }];
+    const xAt = index => index * 100;
+    const yAt = value => 50 - value;
+    assert.equal(PopulationSeries.linePath(points, xAt, yAt), 'M 0 40 L 100 30');
+    assert.equal(PopulationSeries.areaPath(points, xAt, yAt), 'M 0 40 L 100 30 L 100 45 L 0 50 Z');
+});
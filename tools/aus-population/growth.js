@@ -0,0 +1,109 @@
+/**
+ * Population Growth
+ * Year-on-year growth, growth over a chosen range of quarters and compound
+ * annual growth rate (CAGR), for each state and nationally.
+ */
+
+const PopulationGrowth = {
+    MONTHS_PER_YEAR: 12,
+    QUARTERS_PER_YEAR: 4,
+
+    /**
+     * Change between two counts: { start, end, change, percent }
+     */
+    change(start, end) {
+        return {
+            start,
+            end,
+            change: end - start,
+            percent: start > 0 ? ((end - start) / start) * 100 : null
+        };
+    },
+
+    /**
+     * Compound annual growth rate, as a percentage, for growth from start to end over years
+     */
+    cagr(start, end, years) {
+        if (start <= 0 || years <= 0) return null;
+        return (Math.pow(end / start, 1 / years) - 1) * 100;
+    },
+
+    /**
+     * Years from one date to another, counted in whole months
+     */
+    yearsBetween(startDate, endDate) {
+        const months = (endDate.getFullYear() - startDate.getFullYear()) * this.MONTHS_PER_YEAR
+            + (endDate.getMonth() - startDate.getMonth());
+        return months / this.MONTHS_PER_YEAR;
+    },
+
+    /**
+     * A span of years in words, e.g. "1 quarter", "3 quarters", "1 year" or
+     * "2.5 years". Spans under a year are counted in quarters.
+     */
+    describeYears(years) {
+        if (years < 1) {
+            const quarters = Math.round(years * this.QUARTERS_PER_YEAR);
+            return quarters === 1 ? '1 quarter' : `${quarters} quarters`;
+        }
+        return years === 1 ? '1 year' : `${years} years`;
+    },
+
+    /**
+     * Growth in each column over the year to records[index], or null when
+     * the data has no quarter a year earlier
+     */
+    yearOnYear(records, index, columns) {
+        const end = records[index];
+        const start = records.find(record =>
+            record.date.getFullYear() === end.date.getFullYear() - 1 && record.date.getMonth() === end.date.getMonth()
+        );
+        if (!start) return null;
+
+        const growth = { start: start.date, end: end.date, columns: {} };
+        columns.forEach(column => {
+            growth.columns[column] = this.change(start[column], end[column]);
+        });
+        return growth;
+    },
+
+    /**
+     * Growth in each column from records[startIndex] to records[endIndex],
+     * with its CAGR: { start, end, years, columns: { NSW: { start, end, change, percent, cagr } } }
+     */
+    range(records, startIndex, endIndex, columns) {
+        if (!records[startIndex] || !records[endIndex]) {
+            throw new RangeError('The range must start and end on quarters in the data');
+        }
+        if (startIndex >= endIndex) {
+            throw new RangeError('The start quarter must be before the end quarter');
+        }
+
+        const start = records[startIndex];
+        const end = records[endIndex];
+        const years = this.yearsBetween(start.date, end.date);
+        const growth = { start: start.date, end: end.date, years, columns: {} };
+        columns.forEach(column => {
+            growth.columns[column] = {
+                ...this.change(start[column], end[column]),
+                cagr: this.cagr(start[column], end[column], years)
+            };
+        });
+        return growth;
+    },
+
+    /**
+     * The states ordered by percentage growth, fastest first, each with its rank
+     */
+    rank(growth, states) {
+        return states
+            .map(state => ({ state, ...growth.columns[state] }))
+            .sort((a, b) => b.percent - a.percent)
+            .map((entry, i) => ({ rank: i + 1, ...entry }));
+    }
+};
+
+// Allow the calculations to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PopulationGrowth;
+}
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PopulationGrowth = require('./growth.js');
+
+const COLUMNS = ['NSW', 'Tas', 'Aus'];
+
+/**
+ * A quarterly record for the given year and month
+ */
+function record(year, month, NSW, Tas) {
+    return { date: new Date(year, month - 1, 1), NSW, Tas, Aus: NSW + Tas };
+}
+
+// Five years of March and September quarters
+const RECORDS = [
+    record(2020, 3, 1000, 400),
+    record(2020, 9, 1020, 401),
+    record(2021, 3, 1050, 402),
+    record(2021, 9, 1080, 404),
+    record(2022, 3, 1102.5, 405),
+    record(2023, 9, 1200, 380),
+    record(2024, 3, 1210, 399)
+];
+
+test('year-on-year growth compares with the same quarter a year before', () => {
+    const growth = PopulationGrowth.yearOnYear(RECORDS, 2, COLUMNS);
+    assert.equal(growth.start.getFullYear(), 2020);
+    assert.equal(growth.start.getMonth(), 2);
+    assert.deepEqual(growth.columns.NSW, { start: 1000, end: 1050, change: 50, percent: 5 });
+    assert.equal(growth.columns.Aus.change, 52);
+
+    // No March 2019, and September 2022 is missing from the data
+    assert.equal(PopulationGrowth.yearOnYear(RECORDS, 0, COLUMNS), null);
+    assert.equal(PopulationGrowth.yearOnYear(RECORDS, 5, COLUMNS), null);
+});
+
+test('range growth includes the compound annual rate', () => {
+    const growth = PopulationGrowth.range(RECORDS, 0, 4, COLUMNS);
+    assert.equal(growth.years, 2);
+    assert.equal(growth.columns.NSW.change, 102.5);
+    assert.ok(Math.abs(growth.columns.NSW.percent - 10.25) < 1e-9);
+    // 1000 -> 1102.5 over two years is 5% a year
+    assert.ok(Math.abs(growth.columns.NSW.cagr - 5) < 1e-9);
+
+    // Half a year counts as such
+    assert.equal(PopulationGrowth.range(RECORDS, 0, 1, COLUMNS).years, 0.5);
+    assert.ok(PopulationGrowth.range(RECORDS, 4, 5, COLUMNS).columns.Tas.cagr < 0);
+});
+
+test('spans under a year are described in quarters', () => {
+    assert.equal(PopulationGrowth.describeYears(0.25), '1 quarter');
+    assert.equal(PopulationGrowth.describeYears(0.75), '3 quarters');
+    assert.equal(PopulationGrowth.describeYears(1), '1 year');
+    assert.equal(PopulationGrowth.describeYears(2.5), '2.5 years');
+});
+
+test('ranges must run forwards between quarters in the data', () => {
+    assert.throws(() => PopulationGrowth.range(RECORDS, 3, 3, COLUMNS), RangeError);
+    assert.throws(() => PopulationGrowth.range(RECORDS, 4, 1, COLUMNS), /start quarter must be before the end/);
+    assert.throws(() => PopulationGrowth.range(RECORDS, 0, 99, COLUMNS), /quarters in the data/);
+    assert.equal(PopulationGrowth.cagr(0, 10, 2), null);
+});
+
+test('states are ranked by growth, fastest first', () => {
+    const growth = PopulationGrowth.range(RECORDS, 4, 6, COLUMNS);
+    assert.deepEqual(
+        PopulationGrowth.rank(growth, ['Tas', 'NSW']).map(({ rank, state }) => [rank, state]),
+        [[1, 'NSW'], [2, 'Tas']]
+    );
+});
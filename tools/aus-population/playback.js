@@ -0,0 +1,51 @@
+/**
+ * Population Playback
+ * Timing and stepping for playing the timeline on its own, without scrolling:
+ * how fast each speed moves and where a step lands, looping or not.
+ */
+
+const PopulationPlayback = {
+    // Speeds offered, in quarters per second
+    SPEEDS: [
+        { label: '0.5×', quartersPerSecond: 2 },
+        { label: '1×', quartersPerSecond: 4 },
+        { label: '2×', quartersPerSecond: 8 },
+        { label: '4×', quartersPerSecond: 16 }
+    ],
+    DEFAULT_SPEED: 1, // Index into SPEEDS
+
+    /**
+     * Milliseconds between quarters at a speed
+     */
+    interval(speedIndex) {
+        const speed = this.SPEEDS[speedIndex];
+        if (!speed) {
+            throw new RangeError(`Unknown playback speed ${speedIndex}`);
+        }
+        return 1000 / speed.quartersPerSecond;
+    },
+
+    /**
+     * Index after moving delta quarters from index, or null when that runs off
+     * either end. Looping wraps around instead.
+     */
+    step(index, delta, length, loop) {
+        const next = index + delta;
+        if (next >= 0 && next < length) return next;
+        if (!loop) return null;
+        return ((next % length) + length) % length;
+    },
+
+    /**
+     * Where playing starts: from the quarter on screen, or from the beginning
+     * when that is already the last one
+     */
+    startIndex(index, length) {
+        return index >= length - 1 ? 0 : index;
+    }
+};
+
+// Allow playback to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PopulationPlayback;
+}
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PopulationPlayback = require('./playback.js');
+
+test('each speed sets the time between quarters', () => {
+    assert.equal(PopulationPlayback.interval(PopulationPlayback.DEFAULT_SPEED), 250);
+    assert.equal(PopulationPlayback.interval(0), 500);
+    assert.ok(PopulationPlayback.SPEEDS.every((speed, i) => i === 0 || speed.quartersPerSecond > PopulationPlayback.SPEEDS[i - 1].quartersPerSecond));
+    assert.throws(() => PopulationPlayback.interval(99), RangeError);
+});
+
+test('steps stop at either end unless looping', () => {
+    assert.equal(PopulationPlayback.step(3, 1, 10, false), 4);
+    assert.equal(PopulationPlayback.step(3, -1, 10, false), 2);
+    assert.equal(PopulationPlayback.step(9, 1, 10, false), null);
+    assert.equal(PopulationPlayback.step(0, -1, 10, false), null);
+
+    assert.equal(PopulationPlayback.step(9, 1, 10, true), 0);
+    assert.equal(PopulationPlayback.step(0, -1, 10, true), 9);
+});
+
+test('playing from the last quarter starts again from the first', () => {
+    assert.equal(PopulationPlayback.startIndex(9, 10), 0);
+    assert.equal(PopulationPlayback.startIndex(4, 10), 4);
+});
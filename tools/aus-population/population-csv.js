@@ -0,0 +1,168 @@
+/**
+ * Population CSV Loader
+ * Parses the ABS quarterly population CSV: a row of full names, a row of
+ * abbreviations that name the columns, then one row per quarter. Columns are
+ * found by abbreviation rather than position, and anything malformed is
+ * rejected with a message naming the row.
+ */
+
+const PopulationCsv = {
+    // Columns every data file must have, by their abbreviation
+    COLUMNS: ['NSW', 'Vic', 'Qld', 'SA', 'WA', 'Tas', 'NT', 'ACT', 'Aus'],
+    ABBREVIATION_LABEL: 'Abbreviation', // First cell of the row naming the columns
+
+    /**
+     * Quarterly records, oldest first: { date, NSW, Vic, ..., Aus }.
+     * Throws with a readable message if the file is malformed.
+     */
+    parse(text) {
+        const rows = this.splitRows(text);
+        const headerIndex = rows.findIndex(row => row.fields[0].trim() === this.ABBREVIATION_LABEL);
+        if (headerIndex === -1) {
+            throw new Error(`No "${this.ABBREVIATION_LABEL}" row naming the columns was found`);
+        }
+
+        const header = rows[headerIndex];
+        const columns = this.mapColumns(header);
+        const records = [];
+
+        rows.slice(headerIndex + 1).forEach(({ line, fields }) => {
+            // Blank lines (such as a trailing newline) carry no data
+            if (fields.length === 1 && fields[0].trim() === '') return;
+
+            if (fields.length !== header.fields.length) {
+                throw new Error(`Line ${line} has ${fields.length} fields, expected ${header.fields.length}`);
+            }
+
+            const record = { date: this.parseDate(fields[0], line) };
+            this.COLUMNS.forEach(column => {
+                record[column] = this.parseCount(fields[columns[column]], column, line);
+            });
+
+            const previous = records[records.length - 1];
+            if (previous && record.date <= previous.date) {
+                throw new Error(`Line ${line} has date ${fields[0].trim()}, which is not after the row before it`);
+            }
+            records.push(record);
+        });
+
+        if (records.length === 0) {
+            throw new Error('The file has no data rows');
+        }
+        return records;
+    },
+
+    /**
+     * Column index for each required abbreviation
+     */
+    mapColumns(header) {
+        const columns = {};
+        header.fields.forEach((field, index) => {
+            const name = field.trim();
+            if (!this.COLUMNS.includes(name)) return;
+            if (columns[name] !== undefined) {
+                throw new Error(`Column ${name} appears more than once (line ${header.line})`);
+            }
+            columns[name] = index;
+        });
+
+        const missing = this.COLUMNS.filter(column => columns[column] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Missing column${missing.length > 1 ? 's' : ''} ${missing.join(', ')} (line ${header.line})`);
+        }
+        return columns;
+    },
+
+    /**
+     * A YYYY-MM-DD date as local midnight, so the month shown is the month in the file
+     */
+    parseDate(field, line) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(field.trim());
+        const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+        if (!date || date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+            throw new Error(`Line ${line} has an invalid date "${field}" (expected YYYY-MM-DD)`);
+        }
+        return date;
+    },
+
+    /**
+     * A whole population count, allowing thousands separators inside quoted fields
+     */
+    parseCount(field, column, line) {
+        const value = field.trim();
+        if (!/^(\d+|\d{1,3}(,\d{3})+)$/.test(value)) {
+            throw new Error(`Line ${line} has ${value === '' ? 'no value' : `"${value}"`} for ${column}, which is not a population count`);
+        }
+        return Number(value.replace(/,/g, ''));
+    },
+
+    /**
+     * Split CSV text into rows of fields, following RFC 4180: fields may be
+     * quoted, quoted fields may hold commas, line breaks and doubled quotes.
+     * Strips a byte order mark and accepts Windows line endings. Each row
+     * keeps the line it started on, for error messages.
+     */
+    splitRows(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const rows = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        let closed = false; // Just past a quoted field's closing quote
+        let line = 1;
+        let rowLine = 1;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                    closed = true;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (closed && char !== ',' && char !== '\n' && char !== '\r') {
+                throw new Error(`Line ${rowLine} has text after the closing quote of a field`);
+            } else if (char === '"') {
+                if (field.trim() !== '') {
+                    throw new Error(`Line ${rowLine} has a quote in the middle of a field`);
+                }
+                field = '';
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+                closed = false;
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                closed = false;
+                fields.push(field);
+                rows.push({ line: rowLine, fields });
+                fields = [];
+                field = '';
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (quoted) {
+            throw new Error(`Line ${rowLine} has a quoted field that is never closed`);
+        }
+        if (field !== '' || fields.length > 0) {
+            fields.push(field);
+            rows.push({ line: rowLine, fields });
+        }
+        return rows;
+    }
+};
+
+// Allow the loader to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PopulationCsv;
+}
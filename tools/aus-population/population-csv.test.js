@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const PopulationCsv = require('./population-csv.js');
+
+const BUNDLED_FILE = path.join(__dirname, '../../data/australia_population_20250918.csv');
+const HEADER = 'Year,New South Wales,Victoria,Queensland,South Australia,Western Australia,Tasmania,Northern Territory,Australian Capital Territory,Australia\n'
+    + 'Abbreviation,NSW,Vic,Qld,SA,WA,Tas,NT,ACT,Aus\n';
+
+/**
+ * Data rows under the standard header
+ */
+function csv(...rows) {
+    return HEADER + rows.join('\n') + '\n';
+}
+
+test('the bundled file loads every quarter in order', () => {
+    const text = fs.readFileSync(BUNDLED_FILE, 'utf8');
+    assert.equal(text.charCodeAt(0), 0xFEFF);
+
+    const records = PopulationCsv.parse(text);
+    const lines = text.trim().split(/\r?\n/);
+    assert.equal(records.length, lines.length - 2);
+
+    const [first] = records;
+    assert.equal(first.date.getFullYear(), 1981);
+    assert.equal(first.date.getMonth(), 5);
+    assert.deepEqual(
+        PopulationCsv.COLUMNS.map(column => first[column]),
+        [5234889, 3946917, 2345208, 1318769, 1300056, 427224, 122616, 227581, 14923260]
+    );
+
+    // Every quarter is a whole number and each state is a part of the national total
+    records.forEach(record => {
+        PopulationCsv.COLUMNS.forEach(column => assert.ok(Number.isInteger(record[column]) && record[column] > 0));
+        const states = PopulationCsv.COLUMNS.filter(column => column !== 'Aus');
+        assert.ok(states.reduce((sum, state) => sum + record[state], 0) <= record.Aus);
+    });
+});
+
+test('columns are found by abbreviation, not position', () => {
+    const text = 'Abbreviation,Aus,ACT,NT,Tas,WA,SA,Qld,Vic,NSW,Notes\r\n'
+        + '2000-03-01,19000000,300000,190000,470000,1850000,1490000,3500000,4700000,6400000,"estimate, revised"\r\n';
+    const [record] = PopulationCsv.parse(text);
+    assert.equal(record.NSW, 6400000);
+    assert.equal(record.Aus, 19000000);
+    assert.equal(record.ACT, 300000);
+});
+
+test('quoted fields may hold commas, quotes and thousands separators', () => {
+    assert.deepEqual(
+        PopulationCsv.splitRows('\uFEFFa,"b, c","say ""hi""","line\nbreak"\r\nd').map(row => row.fields),
+        [['a', 'b, c', 'say "hi"', 'line\nbreak'], ['d']]
+    );
+
+    const [record] = PopulationCsv.parse(csv('1981-06-01,"5,234,889",3946917,2345208,1318769,1300056,427224,122616,227581,"14,923,260"'));
+    assert.equal(record.NSW, 5234889);
+    assert.equal(record.Aus, 14923260);
+});
+
+test('malformed files are rejected with the line at fault', () => {
+    const good = '1981-06-01,5234889,3946917,2345208,1318769,1300056,427224,122616,227581,14923260';
+    const later = '1981-09-01,5249455,3957333,2367477,1321235,1311284,427925,125186,228782,14988677';
+
+    assert.throws(() => PopulationCsv.parse(csv(good, '1981-09-01,5249455,3957333')), /Line 4 has 3 fields, expected 10/);
+    assert.throws(() => PopulationCsv.parse(csv(good, later.replace('5249455', 'NaN'))), /Line 4 has "NaN" for NSW/);
+    assert.throws(() => PopulationCsv.parse(csv(good, later.replace('14988677', ''))), /Line 4 has no value for Aus/);
+    assert.throws(() => PopulationCsv.parse(csv(good, later.replace('3957333', '3957333.5'))), /for Vic/);
+    assert.throws(() => PopulationCsv.parse(csv(later, good)), /Line 4 has date 1981-06-01, which is not after/);
+    assert.throws(() => PopulationCsv.parse(csv(good, good)), /not after/);
+    assert.throws(() => PopulationCsv.parse(csv('1981-02-30' + good.slice(10))), /Line 3 has an invalid date "1981-02-30"/);
+    assert.throws(() => PopulationCsv.parse(csv('June 1981' + good.slice(10))), /invalid date/);
+    assert.throws(() => PopulationCsv.parse(csv('1981-06-01,"5234889')), /never closed/);
+    assert.throws(() => PopulationCsv.parse(csv(good, later.replace('5249455', '"5,249"455'))), /Line 4 has text after the closing quote/);
+    assert.throws(() => PopulationCsv.splitRows('"abc" ,d'), /Line 1 has text after the closing quote/);
+    assert.throws(() => PopulationCsv.parse(HEADER.replace(',Tas,', ',Tasmania,')), /Missing column Tas/);
+    assert.throws(() => PopulationCsv.parse(HEADER.replace(',Tas,', ',NT,')), /Column NT appears more than once/);
+    assert.throws(() => PopulationCsv.parse(good), /No "Abbreviation" row/);
+    assert.throws(() => PopulationCsv.parse(HEADER), /no data rows/);
+});
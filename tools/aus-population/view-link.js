@@ -0,0 +1,55 @@
+/**
+ * Population View Links
+ * Reads and writes the viewer's state in the page URL's query string, e.g.
+ * ?quarter=2020-06&mode=lines&hide=NT,ACT&race=1, so a view can be bookmarked,
+ * shared, and stepped through with the browser's back and forward buttons.
+ * Values left at their defaults are left out of the URL.
+ */
+
+const PopulationLink = {
+    DEFAULT_MODE: 'stacked',
+
+    /**
+     * The view in a query string: { quarter, mode, hidden, race, release }.
+     * Anything missing or not recognised falls back to the default (null for
+     * quarter and release, no hidden states, no race).
+     */
+    parse(search, { states, modes }) {
+        const params = new URLSearchParams(search);
+        const quarter = params.get('quarter');
+        const mode = params.get('mode');
+        const hide = (params.get('hide') || '').split(',');
+        const hidden = states.filter(state => hide.includes(state));
+
+        return {
+            quarter: /^\d{4}-\d{2}$/.test(quarter) ? quarter : null,
+            mode: modes.includes(mode) ? mode : this.DEFAULT_MODE,
+            // Hiding every state would leave nothing to draw
+            hidden: hidden.length < states.length ? hidden : [],
+            race: params.get('race') === '1',
+            release: params.get('release') || null
+        };
+    },
+
+    /**
+     * Query string for a view, starting with "?", or "" when it is all defaults.
+     * Leave release null for the latest release.
+     */
+    build({ quarter = null, mode = this.DEFAULT_MODE, hidden = [], race = false, release = null }) {
+        const params = new URLSearchParams();
+        if (quarter) params.set('quarter', quarter);
+        if (mode !== this.DEFAULT_MODE) params.set('mode', mode);
+        if (hidden.length > 0) params.set('hide', hidden.join(','));
+        if (race) params.set('race', '1');
+        if (release) params.set('release', release);
+
+        // Commas read better in a shared link than %2C
+        const query = params.toString().replace(/%2C/g, ',');
+        return query ? `?${query}` : '';
+    }
+};
+
+// Allow links to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PopulationLink;
+}
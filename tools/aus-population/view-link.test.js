@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PopulationLink = require('./view-link.js');
+
+const OPTIONS = {
+    states: ['NSW', 'Vic', 'Qld', 'SA', 'WA', 'Tas', 'NT', 'ACT'],
+    modes: ['stacked', 'share', 'lines', 'log']
+};
+
+test('a view survives the trip through a link', () => {
+    const view = { quarter: '2020-06', mode: 'log', hidden: ['NT', 'ACT'], race: true, release: '2025-06' };
+    const search = PopulationLink.build(view);
+    assert.equal(search, '?quarter=2020-06&mode=log&hide=NT,ACT&race=1&release=2025-06');
+    assert.deepEqual(PopulationLink.parse(search, OPTIONS), view);
+});
+
+test('defaults are left out of the link', () => {
+    assert.equal(PopulationLink.build({}), '');
+    assert.equal(PopulationLink.build({ quarter: '1981-06', mode: 'stacked', hidden: [] }), '?quarter=1981-06');
+    assert.deepEqual(PopulationLink.parse('', OPTIONS), { quarter: null, mode: 'stacked', hidden: [], race: false, release: null });
+});
+
+test('unrecognised values in a link fall back to the defaults', () => {
+    const view = PopulationLink.parse('?quarter=June+2020&mode=pie&hide=ACT,XYZ,NT&race=yes', OPTIONS);
+    assert.equal(view.quarter, null);
+    assert.equal(view.mode, 'stacked');
+    assert.equal(view.race, false);
+    // States come back in chart order, whatever order the link lists them in
+    assert.deepEqual(view.hidden, ['NT', 'ACT']);
+
+    assert.deepEqual(PopulationLink.parse(`?hide=${OPTIONS.states.join(',')}`, OPTIONS).hidden, []);
+});
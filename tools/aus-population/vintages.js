@@ -0,0 +1,182 @@
+/**
+ * Population Data Vintages
+ * The ABS revises past quarters with every release, so each release is kept
+ * as its own CSV and listed in data/manifest.json. This reads the manifest,
+ * loads vintages and compares two of them quarter by quarter.
+ */
+
+// Loaded after population-csv.js in the browser; required directly under Node
+const VintageCsv = typeof PopulationCsv !== 'undefined' ? PopulationCsv : require('./population-csv.js');
+
+const PopulationVintages = {
+    DATA_PATH: '../../data/', // Relative to the viewer page
+    MANIFEST_FILE: 'manifest.json',
+    REQUIRED_FIELDS: ['id', 'label', 'released', 'file'],
+
+    /**
+     * Vintages from the manifest, newest release first.
+     * Throws with a readable message if an entry is incomplete or repeated.
+     */
+    parseManifest(manifest) {
+        if (!manifest || !Array.isArray(manifest.vintages) || manifest.vintages.length === 0) {
+            throw new Error('The data manifest lists no vintages');
+        }
+
+        const seen = new Set();
+        const vintages = manifest.vintages.map((entry, i) => {
+            this.REQUIRED_FIELDS.forEach(field => {
+                if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+                    throw new Error(`Vintage ${i + 1} in the data manifest has no ${field}`);
+                }
+            });
+            if (seen.has(entry.id)) {
+                throw new Error(`Vintage ${entry.id} appears more than once in the data manifest`);
+            }
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.released)) {
+                throw new Error(`Vintage ${entry.id} has an invalid release date "${entry.released}" (expected YYYY-MM-DD)`);
+            }
+            // Files are looked up beside the manifest, never elsewhere
+            if (!/^[\w.-]+\.csv$/.test(entry.file)) {
+                throw new Error(`Vintage ${entry.id} names "${entry.file}", which is not a CSV file in the data folder`);
+            }
+            seen.add(entry.id);
+            return { ...entry };
+        });
+
+        // ISO dates sort as text; the order in the file doesn't matter
+        return vintages.sort((a, b) => b.released.localeCompare(a.released));
+    },
+
+    /**
+     * The most recent release
+     */
+    latest(vintages) {
+        return vintages[0];
+    },
+
+    /**
+     * The vintage with this id, or undefined
+     */
+    find(vintages, id) {
+        return vintages.find(vintage => vintage.id === id);
+    },
+
+    /**
+     * URL of the manifest, relative to the viewer page
+     */
+    manifestUrl() {
+        return this.DATA_PATH + this.MANIFEST_FILE;
+    },
+
+    /**
+     * URL of a vintage's CSV, relative to the viewer page
+     */
+    fileUrl(vintage) {
+        return this.DATA_PATH + vintage.file;
+    },
+
+    /**
+     * Loads the manifest and vintages through fetchUrl (fetch in the browser),
+     * parsing each vintage's CSV once and passing every record through
+     * prepare. Returns { manifest(), records(vintage), compare(older, newer, columns) },
+     * all promises.
+     */
+    loader(fetchUrl, prepare = record => record) {
+        const requests = new Map(); // Vintage id -> promise of its records
+
+        const records = vintage => {
+            if (!requests.has(vintage.id)) {
+                const request = (async () => {
+                    const response = await fetchUrl(this.fileUrl(vintage));
+                    if (!response.ok) {
+                        throw new Error(`Failed to load CSV: ${response.status} ${response.statusText}`);
+                    }
+                    // Columns are matched by abbreviation; malformed rows throw with the line at fault
+                    return VintageCsv.parse(await response.text()).map(prepare);
+                })();
+
+                // A failed load can be retried by asking for the vintage again
+                request.catch(() => requests.delete(vintage.id));
+                requests.set(vintage.id, request);
+            }
+            return requests.get(vintage.id);
+        };
+
+        return {
+            manifest: async () => {
+                const response = await fetchUrl(this.manifestUrl());
+                if (!response.ok) {
+                    throw new Error(`Failed to load the data manifest: ${response.status} ${response.statusText}`);
+                }
+                return this.parseManifest(await response.json());
+            },
+            records,
+            compare: async (older, newer, columns) => {
+                const [before, after] = await Promise.all([records(older), records(newer)]);
+                return this.diff(before, after, columns);
+            }
+        };
+    },
+
+    /**
+     * Key identifying a quarter across vintages, e.g. "1981-06"
+     */
+    quarterKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    },
+
+    /**
+     * What changed from one vintage's records to another's:
+     * - quarters: each quarter in both whose figures differ, oldest first, as
+     *   { date, changes: { NSW: { before, after, change, percent }, ... } }
+     *   holding only the columns that changed
+     * - columns: the columns revised in any quarter, in column order
+     * - added / removed: dates of quarters only in the newer / older vintage
+     */
+    diff(older, newer, columns) {
+        const olderByQuarter = new Map(older.map(record => [this.quarterKey(record.date), record]));
+        const newerKeys = new Set(newer.map(record => this.quarterKey(record.date)));
+        const revised = new Set();
+        const quarters = [];
+        const added = [];
+
+        newer.forEach(record => {
+            const previous = olderByQuarter.get(this.quarterKey(record.date));
+            if (!previous) {
+                added.push(record.date);
+                return;
+            }
+
+            const changes = {};
+            columns.forEach(column => {
+                const before = previous[column];
+                const after = record[column];
+                if (before === after) return;
+                changes[column] = {
+                    before,
+                    after,
+                    change: after - before,
+                    percent: before > 0 ? ((after - before) / before) * 100 : null
+                };
+                revised.add(column);
+            });
+            if (Object.keys(changes).length > 0) {
+                quarters.push({ date: record.date, changes });
+            }
+        });
+
+        return {
+            quarters,
+            columns: columns.filter(column => revised.has(column)),
+            added,
+            removed: older
+                .filter(record => !newerKeys.has(this.quarterKey(record.date)))
+                .map(record => record.date)
+        };
+    }
+};
+
+// Allow the vintages to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PopulationVintages;
+}
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const PopulationCsv = require('./population-csv.js');
+const PopulationVintages = require('./vintages.js');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+const COLUMNS = ['NSW', 'Vic', 'Aus'];
+
+/**
+ * A manifest entry with sensible defaults
+ */
+function vintage(overrides = {}) {
+    return { id: '2025-09', label: 'Sep 2025', released: '2025-09-18', file: 'australia_population_20250918.csv', ...overrides };
+}
+
+/**
+ * A quarterly record for the given year and month
+ */
+function record(year, month, NSW, Vic) {
+    return { date: new Date(year, month - 1, 1), NSW, Vic, Aus: NSW + Vic };
+}
+
+test('every vintage in the bundled manifest loads', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'manifest.json'), 'utf8'));
+    const vintages = PopulationVintages.parseManifest(manifest);
+
+    assert.ok(vintages.length > 0);
+    vintages.forEach(entry => {
+        const records = PopulationCsv.parse(fs.readFileSync(path.join(DATA_DIR, entry.file), 'utf8'));
+        assert.ok(records.length > 0, entry.id);
+    });
+    assert.equal(PopulationVintages.fileUrl(vintages[0]), `../../data/${vintages[0].file}`);
+});
+
+test('vintages are ordered newest release first and found by id', () => {
+    const vintages = PopulationVintages.parseManifest({
+        vintages: [
+            vintage({ id: '2024-12', released: '2024-12-19', file: 'a.csv' }),
+            vintage({ id: '2025-09', released: '2025-09-18', file: 'b.csv' }),
+            vintage({ id: '2025-06', released: '2025-06-19', file: 'c.csv' })
+        ]
+    });
+    assert.deepEqual(vintages.map(entry => entry.id), ['2025-09', '2025-06', '2024-12']);
+    assert.equal(PopulationVintages.latest(vintages).id, '2025-09');
+    assert.equal(PopulationVintages.find(vintages, '2025-06').file, 'c.csv');
+    assert.equal(PopulationVintages.find(vintages, '1999-01'), undefined);
+});
+
+test('incomplete or unsafe manifests are rejected', () => {
+    assert.throws(() => PopulationVintages.parseManifest({}), /lists no vintages/);
+    assert.throws(() => PopulationVintages.parseManifest({ vintages: [] }), /lists no vintages/);
+    assert.throws(() => PopulationVintages.parseManifest({ vintages: [vintage({ label: '' })] }), /Vintage 1 in the data manifest has no label/);
+    assert.throws(() => PopulationVintages.parseManifest({ vintages: [vintage(), vintage()] }), /2025-09 appears more than once/);
+    assert.throws(() => PopulationVintages.parseManifest({ vintages: [vintage({ released: '18/09/2025' })] }), /invalid release date/);
+    assert.throws(() => PopulationVintages.parseManifest({ vintages: [vintage({ file: '../secret.csv' })] }), /not a CSV file in the data folder/);
+    assert.throws(() => PopulationVintages.parseManifest({ vintages: [vintage({ file: 'notes.txt' })] }), /not a CSV file/);
+});
+
+test('the diff lists revised quarters and columns, and quarters added or dropped', () => {
+    const older = [
+        record(1981, 6, 5000, 4000),
+        record(1981, 9, 5100, 4050),
+        record(1981, 12, 5200, 4100)
+    ];
+    const newer = [
+        record(1981, 9, 5100, 4050),
+        record(1981, 12, 5150, 4100),
+        record(1982, 3, 5300, 4150)
+    ];
+
+    const diff = PopulationVintages.diff(older, newer, COLUMNS);
+    assert.deepEqual(diff.columns, ['NSW', 'Aus']);
+    assert.equal(diff.quarters.length, 1);
+    assert.equal(PopulationVintages.quarterKey(diff.quarters[0].date), '1981-12');
+    assert.deepEqual(diff.quarters[0].changes.NSW, { before: 5200, after: 5150, change: -50, percent: -50 / 5200 * 100 });
+    assert.equal(diff.quarters[0].changes.Vic, undefined);
+    assert.deepEqual(diff.added.map(date => PopulationVintages.quarterKey(date)), ['1982-03']);
+    assert.deepEqual(diff.removed.map(date => PopulationVintages.quarterKey(date)), ['1981-06']);
+
+    // A vintage compared with itself has nothing to report
+    assert.deepEqual(PopulationVintages.diff(newer, newer, COLUMNS), { quarters: [], columns: [], added: [], removed: [] });
+});
+
+test('the loader fetches two listed releases once each and compares them', async () => {
+    const latest = fs.readFileSync(path.join(DATA_DIR, 'australia_population_20250918.csv'), 'utf8');
+    const lines = latest.split('\n');
+    const lastQuarter = lines[lines.length - 1].slice(0, 7);
+
+    // The release before: one quarter shorter, with the first quarter's NSW figure since revised
+    const earlier = lines.slice(0, -1).join('\n')
+        .replace('1981-06-01,5234889,', '1981-06-01,5234000,')
+        .replace(',14923260', ',14922371');
+    const files = {
+        'manifest.json': JSON.stringify({
+            vintages: [
+                vintage({ id: '2025-06', label: 'Jun 2025', released: '2025-06-19', file: 'earlier.csv' }),
+                vintage()
+            ]
+        }),
+        'earlier.csv': earlier,
+        'australia_population_20250918.csv': latest
+    };
+    const fetched = [];
+    let failNext = false;
+    const fetchUrl = async url => {
+        const name = url.slice(PopulationVintages.DATA_PATH.length);
+        fetched.push(name);
+        if (failNext) {
+            failNext = false;
+            return { ok: false, status: 503, statusText: 'Service Unavailable' };
+        }
+        return name in files
+            ? { ok: true, json: async () => JSON.parse(files[name]), text: async () => files[name] }
+            : { ok: false, status: 404, statusText: 'Not Found' };
+    };
+
+    const loader = PopulationVintages.loader(fetchUrl, entry => ({ ...entry, prepared: true }));
+    const [newer, older] = await loader.manifest();
+    assert.deepEqual([newer.id, older.id], ['2025-09', '2025-06']);
+
+    failNext = true;
+    await assert.rejects(loader.records(older), /Failed to load CSV: 503 Service Unavailable/);
+
+    // A failed load is tried again; loaded releases are reused
+    const diff = await loader.compare(older, newer, PopulationCsv.COLUMNS);
+    await loader.compare(older, newer, PopulationCsv.COLUMNS);
+    assert.deepEqual(fetched, ['manifest.json', 'earlier.csv', 'earlier.csv', 'australia_population_20250918.csv']);
+    assert.ok((await loader.records(newer)).every(entry => entry.prepared));
+
+    assert.deepEqual(diff.columns, ['NSW', 'Aus']);
+    assert.deepEqual(diff.quarters.map(quarter => PopulationVintages.quarterKey(quarter.date)), ['1981-06']);
+    assert.deepEqual(diff.quarters[0].changes.NSW, { before: 5234000, after: 5234889, change: 889, percent: 889 / 5234000 * 100 });
+    assert.deepEqual(diff.added.map(date => PopulationVintages.quarterKey(date)), [lastQuarter]);
+    assert.deepEqual(diff.removed, []);
+});
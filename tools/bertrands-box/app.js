@@ -0,0 +1,206 @@
+/**
+ * Bertrand's Box Paradox
+ * Pick a cabinet, see one coin and bet on the other, using the Monty Hall
+ * tool's doors (here, drawers) and reveal animation
+ */
+
+// Constants
+const DRAWER_REVEAL_DELAY_MS = 250; // Delay between drawers opening after a bet
+const SIMULATION_COUNT = 1000;
+const COINS = {
+    gold: { emoji: '🥇', name: 'gold' },
+    silver: { emoji: '🥈', name: 'silver' }
+};
+
+// Game state
+let gameState = {
+    round: null, // Current BertrandsBox round
+    openOrder: [], // Drawers in the order they open after the bet, as [cabinet, drawer]
+    openedCount: 0, // How many of those have opened so far
+    totals: null, // Wins and games for each bet
+    showProbabilities: false
+};
+
+// DOM elements
+let doorsContainer;
+let statusMessage;
+let actionButtons;
+
+/**
+ * Initialize the application
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    doorsContainer = document.getElementById('doors-container');
+    statusMessage = document.getElementById('status-message');
+    actionButtons = document.getElementById('action-buttons');
+
+    document.getElementById('new-round').addEventListener('click', newRound);
+    document.getElementById('show-probabilities').addEventListener('change', function() {
+        gameState.showProbabilities = this.checked;
+        renderDrawers();
+    });
+    document.getElementById('bet-same').addEventListener('click', () => placeBet('same'));
+    document.getElementById('bet-different').addEventListener('click', () => placeBet('different'));
+    document.getElementById('reset-stats').addEventListener('click', resetStatistics);
+    document.getElementById('simulate-same').addEventListener('click', () => simulateBets('same'));
+    document.getElementById('simulate-different').addEventListener('click', () => simulateBets('different'));
+    doorsContainer.addEventListener('keydown', function(event) {
+        if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+            DoorBoard.moveFocus(doorsContainer, event.target, event.key === 'ArrowLeft' ? -1 : 1);
+            event.preventDefault();
+        }
+    });
+
+    gameState.totals = BertrandsBox.load(localStorage);
+    updateStatistics();
+    newRound();
+});
+
+/**
+ * Shuffle the cabinets and start again
+ */
+function newRound() {
+    gameState.round = BertrandsBox.newRound();
+    gameState.openOrder = [];
+    gameState.openedCount = 0;
+    actionButtons.style.display = 'none';
+    statusMessage.textContent = 'Pick a cabinet!';
+    renderDrawers();
+}
+
+/**
+ * Whether a drawer is open: the one drawn from, or one opened after the bet
+ */
+function isOpen(cabinet, drawer) {
+    const round = gameState.round;
+    if (cabinet === round.cabinet && drawer === round.drawer) return true;
+    return gameState.openOrder
+        .slice(0, gameState.openedCount)
+        .some(([c, d]) => c === cabinet && d === drawer);
+}
+
+/**
+ * Render the drawers, two to a cabinet
+ */
+function renderDrawers() {
+    const round = gameState.round;
+    // Drawers still closed during the reveal keep the chances from before the bet
+    const chances = gameState.showProbabilities
+        ? BertrandsBox.goldChances(round.phase === BertrandsBox.PHASES.REVEAL ? { ...round, phase: BertrandsBox.PHASES.BET } : round)
+        : null;
+
+    const drawers = [];
+    round.cabinets.forEach((coins, cabinet) => {
+        coins.forEach((coin, drawer) => {
+            const open = isOpen(cabinet, drawer);
+            let probability = null;
+            if (chances) {
+                probability = open ? (coin === 'gold' ? 1 : 0) : chances[cabinet][drawer];
+            }
+            drawers.push({
+                group: `Cabinet ${cabinet + 1}`,
+                label: drawer + 1,
+                name: `Cabinet ${cabinet + 1}, drawer ${drawer + 1}`,
+                content: COINS[coin].emoji,
+                contentClass: coin,
+                contentName: `${COINS[coin].name} coin`,
+                selected: cabinet === round.cabinet,
+                revealed: cabinet === round.cabinet && drawer === round.drawer,
+                opened: open,
+                probability,
+                onClick: round.phase === BertrandsBox.PHASES.PICK ? () => pickCabinet(cabinet) : null
+            });
+        });
+    });
+
+    DoorBoard.render(doorsContainer, drawers, { probabilityOf: 'gold', pickText: 'your cabinet' });
+}
+
+/**
+ * Pick a cabinet and open one of its drawers
+ */
+function pickCabinet(cabinet) {
+    if (gameState.round.phase !== BertrandsBox.PHASES.PICK) return;
+
+    gameState.round = BertrandsBox.openCabinet(gameState.round, cabinet);
+    const coin = BertrandsBox.drawnCoin(gameState.round);
+    statusMessage.textContent = `Drawer ${gameState.round.drawer + 1} of cabinet ${cabinet + 1} holds a ${COINS[coin].name} coin ${COINS[coin].emoji}. What's in the other drawer?`;
+    actionButtons.style.display = 'flex';
+    renderDrawers();
+}
+
+/**
+ * Bet on the other coin, then open every drawer, starting with the other one
+ * in the picked cabinet
+ */
+async function placeBet(bet) {
+    if (gameState.round.phase !== BertrandsBox.PHASES.BET) return;
+
+    gameState.round = BertrandsBox.bet(gameState.round, bet);
+    const round = gameState.round;
+    BertrandsBox.addResults(gameState.totals, bet, { games: 1, wins: round.won ? 1 : 0 });
+    saveStatistics();
+    updateStatistics();
+    actionButtons.style.display = 'none';
+
+    const order = [[round.cabinet, 1 - round.drawer]];
+    round.cabinets.forEach((coins, cabinet) => {
+        if (cabinet !== round.cabinet) coins.forEach((_, drawer) => order.push([cabinet, drawer]));
+    });
+    gameState.openOrder = order;
+
+    const shown = await DoorBoard.revealInTurn(order.length, DRAWER_REVEAL_DELAY_MS, i => {
+        // Bail out if the cabinets were shuffled mid-animation
+        if (gameState.round !== round) return false;
+        gameState.openedCount = i;
+        renderDrawers();
+    });
+    if (!shown || gameState.round !== round) return;
+
+    const other = BertrandsBox.otherCoin(round);
+    statusMessage.textContent = `${round.won ? '🎉 Right!' : '😔 Wrong!'} The other drawer held a ${COINS[other].name} coin ${COINS[other].emoji}.`;
+}
+
+/**
+ * Play many rounds with the same bet
+ */
+function simulateBets(bet) {
+    BertrandsBox.addResults(gameState.totals, bet, BertrandsBox.simulate(bet, SIMULATION_COUNT));
+    saveStatistics();
+    updateStatistics();
+}
+
+/**
+ * Update the statistics display
+ */
+function updateStatistics() {
+    const totals = gameState.totals;
+    ['same', 'different'].forEach(bet => {
+        const { games, wins } = totals[bet];
+        document.getElementById(`${bet}-wins`).textContent = wins;
+        document.getElementById(`${bet}-percentage`).textContent = `${games > 0 ? (wins / games * 100).toFixed(1) : '0.0'}%`;
+        document.getElementById(`${bet}-theory`).textContent = `Theory: ${(BertrandsBox.theoreticalWinRate(bet) * 100).toFixed(1)}%`;
+    });
+    document.getElementById('total-games').textContent = totals.same.games + totals.different.games;
+}
+
+/**
+ * Save statistics to localStorage
+ */
+function saveStatistics() {
+    try {
+        BertrandsBox.save(localStorage, gameState.totals);
+    } catch (error) {
+        console.error('Error saving statistics:', error);
+    }
+}
+
+/**
+ * Reset all statistics
+ */
+function resetStatistics() {
+    if (!confirm('Are you sure you want to reset all results?')) return;
+    gameState.totals = BertrandsBox.emptyTotals();
+    saveStatistics();
+    updateStatistics();
+}
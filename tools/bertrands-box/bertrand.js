@@ -0,0 +1,179 @@
+/**
+ * Bertrand's Box Engine
+ * Three cabinets with two drawers each: one holds two gold coins, one two
+ * silver coins and one a coin of each. Pick a cabinet, open one of its drawers
+ * at random and find, say, gold. What's the chance the other drawer is gold
+ * too? It feels like 1/2, but it's 2/3.
+ */
+
+// Loaded after the Monty Hall engine in the browser; required directly under Node
+const BertrandEngine = typeof MontyEngine !== 'undefined' ? MontyEngine : require('../monty-hall/engine.js');
+
+const BertrandsBox = {
+    CABINETS: [['gold', 'gold'], ['silver', 'silver'], ['gold', 'silver']],
+    PHASES: {
+        PICK: 'pick',
+        BET: 'bet',
+        REVEAL: 'reveal'
+    },
+    STORAGE_KEY: 'bertrandsBox_stats',
+
+    // Once a coin is showing you bet on the other drawer in the same cabinet
+    BETS: {
+        same: 'Same metal',
+        different: 'Different metal'
+    },
+
+    /**
+     * The cabinets in a random order, with the mixed cabinet's coins either
+     * way round. Nothing has been opened yet.
+     */
+    newRound(rng = Math.random) {
+        const cabinets = this.CABINETS.map(coins => [...coins]);
+        for (let i = cabinets.length - 1; i > 0; i--) {
+            const j = BertrandEngine.randomInt(rng, i + 1);
+            [cabinets[i], cabinets[j]] = [cabinets[j], cabinets[i]];
+        }
+        cabinets.forEach(coins => {
+            if (BertrandEngine.randomInt(rng, 2) === 1) coins.reverse();
+        });
+
+        return { cabinets, cabinet: null, drawer: null, bet: null, won: null, phase: this.PHASES.PICK };
+    },
+
+    /**
+     * Pick a cabinet and open one of its drawers at random
+     */
+    openCabinet(round, cabinet, rng = Math.random) {
+        BertrandEngine.assertPhase(round, this.PHASES.PICK);
+        if (!Number.isInteger(cabinet) || cabinet < 0 || cabinet >= round.cabinets.length) {
+            throw new RangeError(`Cabinet ${cabinet} does not exist`);
+        }
+        return { ...round, cabinet, drawer: BertrandEngine.randomInt(rng, 2), phase: this.PHASES.BET };
+    },
+
+    /**
+     * The coin in the drawer that was opened
+     */
+    drawnCoin(round) {
+        return round.cabinets[round.cabinet][round.drawer];
+    },
+
+    /**
+     * The coin in the other drawer of the same cabinet
+     */
+    otherCoin(round) {
+        return round.cabinets[round.cabinet][1 - round.drawer];
+    },
+
+    /**
+     * Bet on whether the other coin matches, then open every drawer
+     */
+    bet(round, bet) {
+        BertrandEngine.assertPhase(round, this.PHASES.BET);
+        if (!this.BETS[bet]) {
+            throw new Error(`Unknown bet: ${bet}`);
+        }
+        const matches = this.otherCoin(round) === this.drawnCoin(round);
+        return { ...round, bet, won: matches === (bet === 'same'), phase: this.PHASES.REVEAL };
+    },
+
+    /**
+     * Chance each drawer holds a gold coin, as [cabinet][drawer], given the
+     * drawer opened so far. Averages over every arrangement of the cabinets
+     * that agrees with the coin on show.
+     */
+    goldChances(round) {
+        if (round.phase === this.PHASES.REVEAL) {
+            return round.cabinets.map(coins => coins.map(coin => (coin === 'gold' ? 1 : 0)));
+        }
+
+        const chances = round.cabinets.map(() => [0, 0]);
+        let matching = 0;
+        this.arrangements().forEach(cabinets => {
+            if (round.cabinet !== null && cabinets[round.cabinet][round.drawer] !== this.drawnCoin(round)) return;
+            matching++;
+            cabinets.forEach((coins, c) => coins.forEach((coin, d) => {
+                if (coin === 'gold') chances[c][d]++;
+            }));
+        });
+        return chances.map(coins => coins.map(count => count / matching));
+    },
+
+    /**
+     * Every equally likely arrangement: the three cabinets in any order, with
+     * the mixed cabinet either way round
+     */
+    arrangements() {
+        const [gold, silver, mixed] = this.CABINETS;
+        const orders = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+        const arrangements = [];
+        orders.forEach(order => {
+            [mixed, [...mixed].reverse()].forEach(mixedCoins => {
+                const types = [gold, silver, mixedCoins];
+                arrangements.push(order.map(type => [...types[type]]));
+            });
+        });
+        return arrangements;
+    },
+
+    /**
+     * Play many rounds with the same bet and count the wins
+     */
+    simulate(bet, count, rng = Math.random) {
+        let wins = 0;
+        for (let i = 0; i < count; i++) {
+            let round = this.openCabinet(this.newRound(rng), BertrandEngine.randomInt(rng, 3), rng);
+            round = this.bet(round, bet);
+            if (round.won) wins++;
+        }
+        return { games: count, wins };
+    },
+
+    /**
+     * Exact long-run chance a bet wins: the other coin matches 2 times in 3
+     */
+    theoreticalWinRate(bet) {
+        return bet === 'same' ? 2 / 3 : 1 / 3;
+    },
+
+    /**
+     * Results with no games played
+     */
+    emptyTotals() {
+        return { same: { games: 0, wins: 0 }, different: { games: 0, wins: 0 } };
+    },
+
+    /**
+     * Add a batch of games played with one bet
+     */
+    addResults(totals, bet, { games, wins }) {
+        totals[bet].games += games;
+        totals[bet].wins += wins;
+    },
+
+    /**
+     * Read saved results, falling back to none if missing or unreadable
+     */
+    load(storage) {
+        try {
+            const totals = JSON.parse(storage.getItem(this.STORAGE_KEY));
+            if (totals && totals.same && totals.different) return totals;
+        } catch (error) {
+            console.error('Error reading saved Bertrand\'s Box results:', error);
+        }
+        return this.emptyTotals();
+    },
+
+    /**
+     * Write the results
+     */
+    save(storage, totals) {
+        storage.setItem(this.STORAGE_KEY, JSON.stringify(totals));
+    }
+};
+
+// Allow the engine to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BertrandsBox;
+}
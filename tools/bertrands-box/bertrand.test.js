@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MontyEngine = require('../monty-hall/engine.js');
+const BertrandsBox = require('./bertrand.js');
+
+test('every round has one cabinet of each kind', () => {
+    const rng = MontyEngine.createRng(1);
+    for (let i = 0; i < 50; i++) {
+        const kinds = BertrandsBox.newRound(rng).cabinets.map(coins => [...coins].sort().join('+')).sort();
+        assert.deepEqual(kinds, ['gold+gold', 'gold+silver', 'silver+silver']);
+    }
+    assert.equal(BertrandsBox.arrangements().length, 12);
+});
+
+test('after a gold coin the other drawer is gold 2 times in 3', () => {
+    const round = {
+        ...BertrandsBox.newRound(),
+        cabinets: [['silver', 'silver'], ['gold', 'silver'], ['gold', 'gold']],
+        cabinet: 2,
+        drawer: 1,
+        phase: BertrandsBox.PHASES.BET
+    };
+    const chances = BertrandsBox.goldChances(round);
+
+    assert.equal(chances[2][1], 1);
+    assert.ok(Math.abs(chances[2][0] - 2 / 3) < 1e-12);
+    [0, 1].forEach(cabinet => chances[cabinet].forEach(chance => assert.ok(Math.abs(chance - 1 / 3) < 1e-12)));
+
+    // Before anything is opened every drawer is gold half the time
+    const fresh = BertrandsBox.goldChances(BertrandsBox.newRound());
+    assert.deepEqual(fresh, [[0.5, 0.5], [0.5, 0.5], [0.5, 0.5]]);
+});
+
+test('a bet on the other coin opens every drawer', () => {
+    const rng = MontyEngine.createRng(4);
+    const round = BertrandsBox.openCabinet(BertrandsBox.newRound(rng), 0, rng);
+    const same = BertrandsBox.bet(round, 'same');
+    const different = BertrandsBox.bet(round, 'different');
+
+    assert.equal(same.won, BertrandsBox.otherCoin(round) === BertrandsBox.drawnCoin(round));
+    assert.equal(different.won, !same.won);
+    assert.equal(BertrandsBox.goldChances(same)[0][round.drawer], BertrandsBox.drawnCoin(round) === 'gold' ? 1 : 0);
+    assert.throws(() => BertrandsBox.bet(same, 'same'), /Expected phase/);
+    assert.throws(() => BertrandsBox.bet(round, 'both'), /Unknown bet/);
+    assert.throws(() => BertrandsBox.openCabinet(BertrandsBox.newRound(rng), 3, rng), RangeError);
+});
+
+test('simulated bets settle at the exact rates and results are saved', () => {
+    const games = 20000;
+    const totals = BertrandsBox.emptyTotals();
+    ['same', 'different'].forEach(bet => {
+        const result = BertrandsBox.simulate(bet, games, MontyEngine.createRng(9));
+        const expected = BertrandsBox.theoreticalWinRate(bet);
+        assert.ok(Math.abs(result.wins / games - expected) < 4 * Math.sqrt(expected * (1 - expected) / games));
+        BertrandsBox.addResults(totals, bet, result);
+    });
+
+    const items = new Map();
+    const storage = { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+    assert.deepEqual(BertrandsBox.load(storage), BertrandsBox.emptyTotals());
+    BertrandsBox.save(storage, totals);
+    assert.deepEqual(BertrandsBox.load(storage), totals);
+    assert.equal(totals.same.games, games);
+});
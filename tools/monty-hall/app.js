@@ -5,19 +5,31 @@
 
 // Constants
 const DOOR_REVEAL_DELAY_MS = 300; // Delay between sequential door reveals
+const AUTO_RESET_DELAY_MS = 3000; // How long a finished round stays on screen
+const REPLAY_STEP_MS = 1200; // Delay between steps when a replay plays itself
+const HISTORY_LIMIT = 30; // Most recent rounds listed in the history panel
+const SIMULATION_WORKER_URL = 'simulation-worker.js';
 
 // Game state
 let gameState = {
     numDoors: 3,
-    carDoor: null,
-    selectedDoor: null,
-    revealedDoors: [],
-    phase: 'SELECT', // SELECT, SWITCH_OR_STAY, REVEAL
-    stayWins: 0,
-    switchWins: 0,
-    stayGames: 0,
-    switchGames: 0,
-    totalGames: 0,
+    numCars: 1,
+    host: 'classic', // Key into MontyEngine.HOSTS
+    doorsToOpen: 1, // How many doors the host opens after the pick
+    round: null, // Current MontyEngine round
+    roundRng: null, // Random source for the current round
+    seed: 0,
+    gameNumber: 0, // Games played since the seed or door count last changed
+    roundGame: 0, // Game number of the current round, for the round log
+    strategy: null, // Last strategy used, shared in the URL
+    revealedCount: 0, // How many of the host's reveals have been animated so far
+    choosingTarget: false, // Player pressed Switch and is picking which door to switch to
+    stats: null, // MontyStats store: totals per configuration and the round log
+    autoResetPaused: false, // Keep finished rounds on screen until the player moves on
+    classroom: null, // Classroom players taking turns, if a class is in session
+    strategies: [], // Player-defined strategies entered in the tournament
+    predictions: null, // MontyPredictions store: the player's scored predictions
+    prediction: null, // Locked-in prediction waiting for its simulation to finish
     showProbabilities: false
 };
 
@@ -26,6 +38,27 @@ let doorsContainer;
 let statusMessage;
 let actionButtons;
 let doorCountInput;
+let doorsToOpenInput;
+let carCountInput;
+let seedInput;
+let hostSelect;
+let announcer;
+
+// Background workers for the current bulk simulation and tournament, if running
+let simulationWorker = null;
+let tournamentWorker = null;
+
+// Pending timer that starts the next round after one finishes
+let autoResetTimer = null;
+
+// Whether a 50-game or bulk simulation is running; nothing else may advance the seeded sequence meanwhile
+let simulationRunning = false;
+
+// Logged round being stepped through, if any: { entry, steps, step, timer }
+let replay = null;
+
+// Simulation waiting for the player's prediction: { description, run }
+let pendingSimulation = null;
 
 // Sound effects
 const sounds = {
@@ -112,6 +145,11 @@ document.addEventListener('DOMContentLoaded', function() {
     statusMessage = document.getElementById('status-message');
     actionButtons = document.getElementById('action-buttons');
     doorCountInput = document.getElementById('door-count');
+    doorsToOpenInput = document.getElementById('doors-to-open');
+    carCountInput = document.getElementById('car-count');
+    seedInput = document.getElementById('seed-input');
+    hostSelect = document.getElementById('host-model');
+    announcer = document.getElementById('announcer');
     
     // Create sound effects
     createSoundEffects();
@@ -119,35 +157,277 @@ document.addEventListener('DOMContentLoaded', function() {
     // Event listeners
     document.getElementById('reset-doors').addEventListener('click', resetGame);
     document.getElementById('show-probabilities').addEventListener('change', toggleProbabilities);
+    document.getElementById('pause-auto-reset').addEventListener('change', toggleAutoReset);
+    document.getElementById('explain-panel').addEventListener('toggle', () => updateProbabilityTree());
+    document.getElementById('replay-back').addEventListener('click', () => stepReplay(-1));
+    document.getElementById('replay-next').addEventListener('click', () => stepReplay(1));
+    document.getElementById('replay-play').addEventListener('click', toggleReplayPlayback);
+    document.getElementById('replay-exit').addEventListener('click', exitReplay);
     document.getElementById('stay-button').addEventListener('click', () => makeDecision('stay'));
     document.getElementById('switch-button').addEventListener('click', () => makeDecision('switch'));
     document.getElementById('reset-stats').addEventListener('click', resetStatistics);
     document.getElementById('simulate-stay').addEventListener('click', () => simulateGames('stay', 50));
     document.getElementById('simulate-switch').addEventListener('click', () => simulateGames('switch', 50));
+    document.getElementById('bulk-stay').addEventListener('click', () => requestSimulation('stay', bulkCount(), () => runBulkSimulation('stay')));
+    document.getElementById('bulk-switch').addEventListener('click', () => requestSimulation('switch', bulkCount(), () => runBulkSimulation('switch')));
+    document.getElementById('bulk-cancel').addEventListener('click', cancelBulkSimulation);
+    document.getElementById('export-csv').addEventListener('click', () => exportStatistics('csv'));
+    document.getElementById('export-json').addEventListener('click', () => exportStatistics('json'));
+    document.getElementById('import-stats').addEventListener('click', () => document.getElementById('import-file').click());
+    document.getElementById('import-file').addEventListener('change', importStatistics);
+    document.getElementById('migrate-legacy').addEventListener('click', migrateLegacyStatistics);
+    document.getElementById('discard-legacy').addEventListener('click', discardLegacyStatistics);
     doorCountInput.addEventListener('change', function() {
         const newCount = parseInt(this.value);
-        if (newCount >= 3 && newCount <= 16) {
+        if (newCount >= MontyEngine.MIN_DOORS && newCount <= MontyEngine.MAX_DOORS) {
             gameState.numDoors = newCount;
-            resetGame();
+            gameState.numCars = Math.min(gameState.numCars, MontyEngine.maxCars(newCount));
+            // Default back to the classic game: open as many doors as possible
+            gameState.doorsToOpen = MontyEngine.maxDoorsToOpen(newCount, gameState.numCars);
+            updateLimitInputs();
+            restartSequence();
+        }
+    });
+    carCountInput.addEventListener('change', function() {
+        const newCount = parseInt(this.value);
+        if (newCount >= 1 && newCount <= MontyEngine.maxCars(gameState.numDoors)) {
+            gameState.numCars = newCount;
+            gameState.doorsToOpen = MontyEngine.maxDoorsToOpen(gameState.numDoors, newCount);
+            updateLimitInputs();
+            restartSequence();
+        } else {
+            this.value = gameState.numCars;
+        }
+    });
+    doorsToOpenInput.addEventListener('change', function() {
+        const newCount = parseInt(this.value);
+        if (newCount >= 1 && newCount <= MontyEngine.maxDoorsToOpen(gameState.numDoors, gameState.numCars)) {
+            gameState.doorsToOpen = newCount;
+            restartSequence();
+        } else {
+            this.value = gameState.doorsToOpen;
         }
     });
+    hostSelect.addEventListener('change', function() {
+        gameState.host = this.value;
+        updateHostDescription();
+        restartSequence();
+    });
+    seedInput.addEventListener('change', function() {
+        const newSeed = Number(this.value);
+        if (Number.isInteger(newSeed) && newSeed >= 0 && newSeed <= MontyEngine.MAX_SEED) {
+            gameState.seed = newSeed;
+            restartSequence();
+        } else {
+            this.value = gameState.seed;
+        }
+    });
+    document.getElementById('new-seed').addEventListener('click', () => {
+        gameState.seed = randomSeed();
+        restartSequence();
+    });
+    document.getElementById('restart-sequence').addEventListener('click', restartSequence);
+    document.getElementById('copy-link').addEventListener('click', copyShareLink);
+    document.addEventListener('keydown', handleKeyboardShortcut);
+    document.getElementById('classroom-start').addEventListener('click', startClass);
+    document.getElementById('classroom-next').addEventListener('click', nextPlayer);
+    document.getElementById('classroom-end').addEventListener('click', endClass);
+    document.getElementById('predict-first').addEventListener('change', togglePredictions);
+    document.getElementById('prediction-run').addEventListener('click', lockInPrediction);
+    document.getElementById('prediction-skip').addEventListener('click', skipPrediction);
+    document.getElementById('reset-predictions').addEventListener('click', resetPredictions);
+    document.getElementById('strategy-type').addEventListener('change', updateStrategyForm);
+    document.getElementById('add-strategy').addEventListener('click', addStrategy);
+    document.getElementById('run-tournament').addEventListener('click', runTournament);
+    document.getElementById('tournament-cancel').addEventListener('click', cancelTournament);
+    document.getElementById('classroom-rotate').addEventListener('change', function() {
+        gameState.classroom.rotate = this.checked;
+        saveClassroom();
+    });
     
-    // Load saved statistics
+    // Load saved statistics and any class in session
     loadStatistics();
+    loadClassroom();
+    loadStrategies();
+    loadPredictions();
+    
+    // Apply seed, door count, host and strategy from a shared link
+    const linkedGame = loadSettingsFromUrl();
+    updateHostDescription();
     
     // Initialize game
-    resetGame();
+    restartSequence();
+    
+    // The first round is played as usual; the next game is the one the shared run started at
+    if (linkedGame !== null) {
+        gameState.gameNumber = linkedGame;
+        updateSeedInfo();
+        updateUrl();
+    }
+    
+    // Redraw the chart to fit its container
+    window.addEventListener('resize', updateConvergenceChart);
 });
 
+/**
+ * Generate a fresh random seed
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * (MontyEngine.MAX_SEED + 1));
+}
+
+/**
+ * Read seed, door count, car count, doors opened, host and strategy from the
+ * page URL. Returns the game number the shared run started at, or null.
+ */
+function loadSettingsFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    
+    const seed = Number(params.get('seed'));
+    gameState.seed = params.has('seed') && Number.isInteger(seed) && seed >= 0 && seed <= MontyEngine.MAX_SEED
+        ? seed
+        : randomSeed();
+    
+    const doors = parseInt(params.get('doors'));
+    if (doors >= MontyEngine.MIN_DOORS && doors <= MontyEngine.MAX_DOORS) {
+        gameState.numDoors = doors;
+    }
+    doorCountInput.value = gameState.numDoors;
+    
+    const cars = parseInt(params.get('cars'));
+    if (cars >= 1 && cars <= MontyEngine.maxCars(gameState.numDoors)) {
+        gameState.numCars = cars;
+    }
+    
+    const maxOpen = MontyEngine.maxDoorsToOpen(gameState.numDoors, gameState.numCars);
+    const doorsToOpen = parseInt(params.get('open'));
+    gameState.doorsToOpen = doorsToOpen >= 1 && doorsToOpen <= maxOpen ? doorsToOpen : maxOpen;
+    updateLimitInputs();
+    
+    const host = params.get('host');
+    if (MontyEngine.HOSTS[host]) {
+        gameState.host = host;
+    }
+    hostSelect.value = gameState.host;
+    
+    const strategy = params.get('strategy');
+    if (strategy === 'stay' || strategy === 'switch') {
+        gameState.strategy = strategy;
+        // Point visitors at the run that was shared with them
+        document.getElementById(`simulate-${strategy}`).classList.add('suggested');
+    }
+    
+    const game = Number(params.get('game'));
+    return params.has('game') && Number.isSafeInteger(game) && game >= 0 ? game : null;
+}
+
+/**
+ * Write seed, door count, car count, doors opened, host, strategy and the next
+ * game number into the page URL so it can be shared. Simulations write it as
+ * they start, so the link replays their games.
+ */
+function updateUrl() {
+    const params = new URLSearchParams(window.location.search);
+    params.set('seed', gameState.seed);
+    params.set('game', gameState.gameNumber);
+    params.set('doors', gameState.numDoors);
+    params.set('cars', gameState.numCars);
+    params.set('open', gameState.doorsToOpen);
+    params.set('host', gameState.host);
+    if (gameState.strategy) {
+        params.set('strategy', gameState.strategy);
+    }
+    window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+}
+
+/**
+ * Copy the shareable link to the clipboard
+ */
+function copyShareLink() {
+    const button = document.getElementById('copy-link');
+    const url = window.location.href;
+    
+    if (!navigator.clipboard) {
+        window.prompt('Copy this link:', url);
+        return;
+    }
+    
+    navigator.clipboard.writeText(url).then(() => {
+        button.textContent = 'Copied!';
+        setTimeout(() => {
+            button.textContent = 'Copy Link';
+        }, 1500);
+    }).catch(() => window.prompt('Copy this link:', url));
+}
+
+/**
+ * Start the seeded sequence again from its first game
+ */
+function restartSequence() {
+    gameState.gameNumber = 0;
+    seedInput.value = gameState.seed;
+    resetGame();
+    updateUrl();
+    if (pendingSimulation) updatePredictionPrompt();
+}
+
+/**
+ * Random source for the next game in the seeded sequence
+ */
+function nextGameRng() {
+    return MontyEngine.roundRng(gameState.seed, gameState.gameNumber++);
+}
+
+/**
+ * Show the current seed and game number
+ */
+function updateSeedInfo() {
+    document.getElementById('seed-info').textContent = `Seed ${gameState.seed} · Game ${gameState.gameNumber}`;
+}
+
+/**
+ * Explain how the selected host behaves
+ */
+function updateHostDescription() {
+    document.getElementById('host-description').textContent = MontyEngine.HOSTS[gameState.host].description;
+}
+
+/**
+ * Keep the car and doors-opened inputs within range for the current settings
+ */
+function updateLimitInputs() {
+    carCountInput.max = MontyEngine.maxCars(gameState.numDoors);
+    carCountInput.value = gameState.numCars;
+    doorsToOpenInput.max = MontyEngine.maxDoorsToOpen(gameState.numDoors, gameState.numCars);
+    doorsToOpenInput.value = gameState.doorsToOpen;
+}
+
+/**
+ * Game settings in the form the engine expects
+ */
+function currentConfig() {
+    return {
+        numDoors: gameState.numDoors,
+        numCars: gameState.numCars,
+        host: gameState.host,
+        doorsToOpen: gameState.doorsToOpen
+    };
+}
+
 /**
  * Reset the game to initial state
  */
 function resetGame() {
-    // Reset game state
-    gameState.carDoor = Math.floor(Math.random() * gameState.numDoors);
-    gameState.selectedDoor = null;
-    gameState.revealedDoors = [];
-    gameState.phase = 'SELECT';
+    clearTimeout(autoResetTimer);
+    
+    // Start a fresh round
+    gameState.roundGame = gameState.gameNumber;
+    gameState.roundRng = nextGameRng();
+    gameState.round = MontyEngine.newRound(currentConfig(), gameState.roundRng);
+    gameState.revealedCount = 0;
+    gameState.choosingTarget = false;
+    updateSeedInfo();
+    updateStatistics();
     
     // Hide action buttons
     actionButtons.style.display = 'none';
@@ -159,220 +439,286 @@ function resetGame() {
     renderDoors();
 }
 
+/**
+ * The round on screen and how many of its reveals to show: the replay step
+ * while a replay is open, otherwise the live game
+ */
+function displayedView() {
+    if (replay) return replay.steps[replay.step];
+    return { round: gameState.round, revealedCount: gameState.revealedCount };
+}
+
+/**
+ * Doors the host has opened that are currently shown as revealed
+ */
+function visibleRevealedDoors(view = displayedView()) {
+    return view.round.revealedDoors.slice(0, view.revealedCount);
+}
+
 /**
  * Render the doors
  */
 function renderDoors() {
-    doorsContainer.innerHTML = '';
+    const view = displayedView();
+    const round = view.round;
+    const revealedDoors = visibleRevealedDoors(view);
+    const probabilities = gameState.showProbabilities ? calculateProbabilities(view) : null;
+    const decided = round.phase === MontyEngine.PHASES.DECIDED || round.phase === MontyEngine.PHASES.REVEAL;
+    const targets = !replay && gameState.choosingTarget ? MontyEngine.switchTargets(round) : [];
     
-    for (let i = 0; i < gameState.numDoors; i++) {
-        const door = document.createElement('div');
-        door.className = 'door';
-        door.dataset.doorIndex = i;
+    const doors = Array.from({ length: round.numDoors }, (_, i) => {
+        const hasCar = round.carDoors.includes(i);
+        const door = {
+            label: i + 1,
+            content: hasCar ? '🚗' : '🐐',
+            contentClass: hasCar ? 'car' : 'goat',
+            contentName: hasCar ? 'car' : 'goat',
+            selected: i === round.selectedDoor,
+            // Mark the door the player switched to
+            finalChoice: decided && i === round.finalDoor && i !== round.selectedDoor,
+            revealed: revealedDoors.includes(i),
+            opened: round.phase === MontyEngine.PHASES.REVEAL,
+            probability: probabilities ? probabilities[i] : null,
+            // Monty Fall opened a car: say why the round doesn't count rather than show 100%
+            probabilityText: round.carRevealed && hasCar && revealedDoors.includes(i) ? 'Void round' : null
+        };
         
-        // Add selected class if this is the selected door
-        if (i === gameState.selectedDoor) {
-            door.classList.add('selected');
+        // Click handler (replays are view-only)
+        if (!replay && round.phase === MontyEngine.PHASES.SELECT) {
+            door.onClick = () => selectDoor(i);
+        } else if (targets.includes(i)) {
+            door.onClick = () => makeDecision('switch', i);
+            door.switchTarget = true;
         }
-        
-        // Add revealed class if this door is revealed
-        if (gameState.revealedDoors.includes(i)) {
-            door.classList.add('revealed');
-        }
-        
-        // Add opened class if in reveal phase
-        if (gameState.phase === 'REVEAL') {
-            door.classList.add('opened');
-        }
-        
-        // Door number
-        const doorNumber = document.createElement('div');
-        doorNumber.className = 'door-number';
-        doorNumber.textContent = i + 1;
-        door.appendChild(doorNumber);
-        
-        // Door content (shown when opened/revealed)
-        const doorContent = document.createElement('div');
-        doorContent.className = 'door-content';
-        if (i === gameState.carDoor) {
-            doorContent.textContent = '🚗';
-            doorContent.classList.add('car');
-        } else {
-            doorContent.textContent = '🐐';
-            doorContent.classList.add('goat');
-        }
-        door.appendChild(doorContent);
-        
-        // Probability display
-        if (gameState.showProbabilities) {
-            const probability = calculateProbability(i);
-            const probDisplay = document.createElement('div');
-            probDisplay.className = 'probability';
-            probDisplay.textContent = `${(probability * 100).toFixed(1)}%`;
-            door.appendChild(probDisplay);
-        }
-        
-        // Click handler
-        if (gameState.phase === 'SELECT' && !gameState.revealedDoors.includes(i)) {
-            door.addEventListener('click', () => selectDoor(i));
-            door.classList.add('clickable');
-        }
-        
-        doorsContainer.appendChild(door);
-    }
+        return door;
+    });
+    
+    DoorBoard.render(doorsContainer, doors);
+    updateProbabilityTree(view);
+}
+
+/**
+ * Redraw the probability tree for the doors on screen, if the explain panel is open
+ */
+function updateProbabilityTree(view = displayedView()) {
+    if (!document.getElementById('explain-panel').open) return;
+    
+    const round = view.round;
+    const revealedDoors = visibleRevealedDoors(view);
+    ProbabilityTree.render(document.getElementById('probability-tree'), {
+        config: round,
+        selectedDoor: round.selectedDoor,
+        revealedDoors,
+        revealedCars: revealedCars(round, revealedDoors),
+        // Only mark where the cars are once every door is open
+        carDoors: round.phase === MontyEngine.PHASES.REVEAL ? round.carDoors : null
+    });
+}
+
+/**
+ * Read a message out through the screen reader live region
+ */
+function announce(message) {
+    // Clear first so repeating the same message is still announced
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 50);
+}
+
+/**
+ * Format door indexes as spoken door numbers, e.g. "2, 4 and 5"
+ */
+function listDoors(doors) {
+    const numbers = doors.map(door => door + 1);
+    if (numbers.length === 1) return `${numbers[0]}`;
+    return `${numbers.slice(0, -1).join(', ')} and ${numbers[numbers.length - 1]}`;
 }
 
 /**
- * Calculate probability for a specific door
+ * Keyboard play: number keys pick a door (0 is door 10), S stays, W switches,
+ * R starts a new round, Escape backs out, and arrow keys move between doors
  */
-function calculateProbability(doorIndex) {
-    if (gameState.phase === 'SELECT') {
-        // Initially all doors have equal probability
-        return 1 / gameState.numDoors;
-    } else if (gameState.phase === 'SWITCH_OR_STAY') {
-        // After reveal, calculate conditional probabilities
-        const unopenedDoors = [];
-        for (let i = 0; i < gameState.numDoors; i++) {
-            if (!gameState.revealedDoors.includes(i)) {
-                unopenedDoors.push(i);
-            }
+function handleKeyboardShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest('input, select, textarea')) return;
+    
+    const key = event.key.toLowerCase();
+    
+    // Replays only step, exit or move between doors
+    if (replay) {
+        if (key === 'escape') {
+            exitReplay();
+        } else if ((key === 'arrowleft' || key === 'arrowright') && !doorsContainer.contains(event.target)) {
+            stepReplay(key === 'arrowleft' ? -1 : 1);
+        } else if (key === 'arrowleft' || key === 'arrowright') {
+            DoorBoard.moveFocus(doorsContainer, event.target, key === 'arrowleft' ? -1 : 1);
+        } else {
+            return;
         }
-        
-        if (doorIndex === gameState.selectedDoor) {
-            // Probability of original choice remains 1/n
-            return 1 / gameState.numDoors;
-        } else if (gameState.revealedDoors.includes(doorIndex)) {
-            // Revealed doors have 0 probability
-            return 0;
+        event.preventDefault();
+        return;
+    }
+    
+    if (/^[0-9]$/.test(key)) {
+        const doorIndex = key === '0' ? 9 : parseInt(key) - 1;
+        if (doorIndex >= gameState.round.numDoors) return;
+        if (gameState.round.phase === MontyEngine.PHASES.SELECT) {
+            selectDoor(doorIndex);
+        } else if (gameState.choosingTarget && MontyEngine.switchTargets(gameState.round).includes(doorIndex)) {
+            makeDecision('switch', doorIndex);
         } else {
-            // Other unopened doors share the remaining probability
-            const remainingProb = 1 - (1 / gameState.numDoors);
-            const otherUnopened = unopenedDoors.filter(d => d !== gameState.selectedDoor).length;
-            return remainingProb / otherUnopened;
+            return;
         }
+    } else if (key === 's') {
+        makeDecision('stay');
+    } else if (key === 'w') {
+        makeDecision('switch');
+    } else if (key === 'r') {
+        if (simulationRunning) return;
+        resetGame();
+    } else if (key === 'escape' && gameState.choosingTarget) {
+        gameState.choosingTarget = false;
+        statusMessage.textContent = offerMessage(gameState.round);
+        renderDoors();
+    } else if ((key === 'arrowleft' || key === 'arrowright') && doorsContainer.contains(event.target)) {
+        DoorBoard.moveFocus(doorsContainer, event.target, key === 'arrowleft' ? -1 : 1);
     } else {
-        // In reveal phase, show actual result
-        return doorIndex === gameState.carDoor ? 1 : 0;
+        return;
     }
+    event.preventDefault();
 }
 
 /**
- * Handle door selection
+ * The opened doors that turned out to hide a car (only ever in a void Monty Fall round)
  */
-function selectDoor(doorIndex) {
-    if (gameState.phase !== 'SELECT') return;
-    
-    gameState.selectedDoor = doorIndex;
-    gameState.phase = 'SWITCH_OR_STAY';
+function revealedCars(round, revealedDoors) {
+    return revealedDoors.filter(door => round.carDoors.includes(door));
+}
+
+/**
+ * Calculate the probability that each door hides a car
+ */
+function calculateProbabilities(view = displayedView()) {
+    const round = view.round;
     
-    // Reveal door(s) - with animation if more than 3 doors
-    if (gameState.numDoors > 3) {
-        revealDoorsSequentially();
-    } else {
-        revealDoor();
-        statusMessage.textContent = 'A door has been opened! Do you want to stay or switch?';
-        actionButtons.style.display = 'flex';
-        renderDoors();
+    if (round.phase === MontyEngine.PHASES.REVEAL) {
+        // In reveal phase, show actual result
+        return Array.from({ length: round.numDoors }, (_, i) => (round.carDoors.includes(i) ? 1 : 0));
     }
+    
+    // Otherwise condition on the pick and the doors opened so far (and any car
+    // Monty Fall opened), which depends on how the selected host chooses doors
+    const revealedDoors = visibleRevealedDoors(view);
+    return MontyEngine.doorProbabilities(round, round.selectedDoor, revealedDoors, revealedCars(round, revealedDoors));
 }
 
 /**
- * Reveal doors sequentially with animation (for more than 3 doors)
+ * Handle door selection
  */
-async function revealDoorsSequentially() {
-    const availableDoors = [];
-    for (let i = 0; i < gameState.numDoors; i++) {
-        if (i !== gameState.carDoor && i !== gameState.selectedDoor) {
-            availableDoors.push(i);
-        }
-    }
+async function selectDoor(doorIndex) {
+    if (gameState.round.phase !== MontyEngine.PHASES.SELECT) return;
     
-    const doorsToReveal = Math.min(gameState.numDoors - 2, availableDoors.length);
+    gameState.round = MontyEngine.selectDoor(gameState.round, doorIndex);
+    gameState.round = MontyEngine.hostReveal(gameState.round, gameState.roundRng);
     
-    // Reveal doors one by one with animation
-    for (let i = 0; i < doorsToReveal; i++) {
-        if (availableDoors.length === 0) break;
-        const randomIndex = Math.floor(Math.random() * availableDoors.length);
-        const doorToReveal = availableDoors.splice(randomIndex, 1)[0];
-        gameState.revealedDoors.push(doorToReveal);
-        
-        // Render doors to show the reveal
+    // Reveal door(s) one by one - with animation if more than 3 doors
+    const round = gameState.round;
+    const shown = await DoorBoard.revealInTurn(round.revealedDoors.length, round.numDoors > 3 ? DOOR_REVEAL_DELAY_MS : 0, i => {
+        // Bail out if the game was reset mid-animation
+        if (gameState.round !== round) return false;
+        gameState.revealedCount = i;
         renderDoors();
-        
-        // Wait before revealing next door
-        await new Promise(resolve => setTimeout(resolve, DOOR_REVEAL_DELAY_MS));
+    });
+    if (!shown || gameState.round !== round) return;
+    
+    // Tell screen reader users what was opened in one go, rather than door by door
+    let opened = '';
+    if (round.revealedDoors.length > 0) {
+        const cars = round.revealedDoors.filter(door => round.carDoors.includes(door)).length;
+        const goats = round.revealedDoors.length - cars;
+        const contents = [
+            goats > 0 ? (goats === 1 ? 'a goat' : `${goats} goats`) : '',
+            cars > 0 ? (cars === 1 ? 'a car' : `${cars} cars`) : ''
+        ].filter(Boolean).join(' and ');
+        opened = ` Monty opens ${round.revealedDoors.length > 1 ? 'doors' : 'door'} ${listDoors([...round.revealedDoors].sort((a, b) => a - b))}: ${contents}.`;
+    }
+    announce(`You picked door ${round.selectedDoor + 1}.${opened}`);
+    
+    // The host may end the round without offering a switch
+    if (!round.offered) {
+        finishRound(null);
+        return;
     }
     
     // Show action buttons after all doors are revealed
-    statusMessage.textContent = 'Doors have been opened! Do you want to stay or switch?';
+    statusMessage.textContent = offerMessage(round);
     actionButtons.style.display = 'flex';
 }
 
 /**
- * Reveal a door (not the car, not the selected door)
+ * Prompt shown once the host has offered a switch
  */
-function revealDoor() {
-    const availableDoors = [];
-    for (let i = 0; i < gameState.numDoors; i++) {
-        if (i !== gameState.carDoor && i !== gameState.selectedDoor) {
-            availableDoors.push(i);
-        }
-    }
-    
-    // Reveal all but one of the available doors (for 3 doors, reveal 1; for more doors, reveal n-2)
-    // This ensures there's always one other unopened door to switch to
-    const doorsToReveal = Math.min(gameState.numDoors - 2, availableDoors.length);
-    for (let i = 0; i < doorsToReveal; i++) {
-        if (availableDoors.length === 0) break; // Safety check
-        const randomIndex = Math.floor(Math.random() * availableDoors.length);
-        const doorToReveal = availableDoors.splice(randomIndex, 1)[0];
-        gameState.revealedDoors.push(doorToReveal);
-    }
+function offerMessage(round) {
+    return round.revealedDoors.length > 1
+        ? `${round.revealedDoors.length} doors have been opened! Do you want to stay or switch?`
+        : 'A door has been opened! Do you want to stay or switch?';
 }
 
 /**
- * Handle stay or switch decision
+ * Handle stay or switch decision. Switching with several doors still closed
+ * first asks the player which door to switch to.
  */
-function makeDecision(decision) {
-    if (gameState.phase !== 'SWITCH_OR_STAY') return;
+function makeDecision(decision, targetDoor) {
+    if (gameState.round.phase !== MontyEngine.PHASES.SWITCH_OR_STAY) return;
     
-    let finalDoor = gameState.selectedDoor;
-    
-    if (decision === 'switch') {
-        // Find the other unopened door
-        for (let i = 0; i < gameState.numDoors; i++) {
-            if (i !== gameState.selectedDoor && !gameState.revealedDoors.includes(i)) {
-                finalDoor = i;
-                break;
-            }
-        }
+    const targets = MontyEngine.switchTargets(gameState.round);
+    if (decision === 'switch' && targetDoor === undefined && targets.length > 1) {
+        gameState.choosingTarget = true;
+        statusMessage.textContent = `Click the door you want to switch to (doors ${listDoors(targets)}), or stay.`;
+        renderDoors();
+        return;
     }
     
-    // Check if won
-    const won = finalDoor === gameState.carDoor;
+    gameState.choosingTarget = false;
+    gameState.round = MontyEngine.decide(gameState.round, decision, targetDoor);
+    gameState.strategy = decision;
+    updateUrl();
+    finishRound(decision);
+}
+
+/**
+ * Open every door, record the result and schedule the next round
+ */
+function finishRound(decision) {
+    gameState.round = MontyEngine.resolve(gameState.round);
+    const round = gameState.round;
+    const won = round.won;
     
-    // Update statistics
-    gameState.totalGames++;
-    if (decision === 'stay') {
-        gameState.stayGames++;
-        if (won) gameState.stayWins++;
-    } else {
-        gameState.switchGames++;
-        if (won) gameState.switchWins++;
-    }
+    // Update statistics, crediting the round to the current classroom player
+    const player = Classroom.record(gameState.classroom, round);
+    recordResult(round, decision, {
+        seed: gameState.seed,
+        game: gameState.roundGame,
+        source: 'play',
+        player: player ? player.name : null
+    });
     
     // Save statistics
     saveStatistics();
+    saveClassroom();
     updateStatistics();
-    
-    // Update game state
-    gameState.selectedDoor = finalDoor;
-    gameState.phase = 'REVEAL';
+    updateClassroom();
     
     // Update UI
     actionButtons.style.display = 'none';
-    if (won) {
-        statusMessage.textContent = `🎉 You won! You ${decision === 'stay' ? 'stayed' : 'switched'} and found the car!`;
+    if (round.carRevealed) {
+        statusMessage.textContent = `😮 Monty accidentally revealed ${round.numCars > 1 ? 'a' : 'the'} car! This round doesn't count.`;
+    } else if (!round.offered) {
+        statusMessage.textContent = `😈 Monty didn't offer a switch. You kept door ${round.finalDoor + 1} and got a goat.`;
+        if (sounds.lose) sounds.lose();
+    } else if (won) {
+        statusMessage.textContent = `🎉 You won! You ${decision === 'stay' ? 'stayed' : 'switched'} and found ${round.numCars > 1 ? 'a' : 'the'} car!`;
         // Play win sound
         if (sounds.win) sounds.win();
     } else {
@@ -381,12 +727,50 @@ function makeDecision(decision) {
         if (sounds.lose) sounds.lose();
     }
     
+    if (gameState.autoResetPaused) {
+        statusMessage.textContent += ' Press Reset Game for the next round.';
+    }
+    
     renderDoors();
+    scheduleAutoReset();
+}
+
+/**
+ * Start the next round after a delay, unless a simulation is running,
+ * auto-reset is paused, a replay is open or a new round has already started
+ */
+function scheduleAutoReset() {
+    clearTimeout(autoResetTimer);
+    const round = gameState.round;
+    if (simulationRunning || gameState.autoResetPaused || replay || round.phase !== MontyEngine.PHASES.REVEAL) return;
     
-    // Auto reset after a delay
-    setTimeout(() => {
-        resetGame();
-    }, 3000);
+    autoResetTimer = setTimeout(() => {
+        if (gameState.round === round) resetGame();
+    }, AUTO_RESET_DELAY_MS);
+}
+
+/**
+ * Pause or resume starting the next round automatically
+ */
+function toggleAutoReset(event) {
+    gameState.autoResetPaused = event.target.checked;
+    scheduleAutoReset();
+}
+
+/**
+ * Add a finished game to the totals for its settings and to the round log.
+ * Games without a choice are counted separately so they don't skew either
+ * strategy's win rate.
+ */
+function recordResult(round, decision, logDetails) {
+    const results = {
+        games: 1,
+        offered: round.offered ? 1 : 0,
+        wins: round.offered && round.won ? 1 : 0
+    };
+    MontyStats.addResults(gameState.stats, round, decision, results);
+    MontyStats.logRound(gameState.stats, round, logDetails);
+    ConvergenceChart.record(decision, results.offered, results.wins);
 }
 
 /**
@@ -398,125 +782,836 @@ function toggleProbabilities(event) {
 }
 
 /**
- * Update statistics display
+ * Update statistics display for the current settings
  */
 function updateStatistics() {
-    document.getElementById('stay-wins').textContent = gameState.stayWins;
-    document.getElementById('switch-wins').textContent = gameState.switchWins;
-    document.getElementById('total-games').textContent = gameState.totalGames;
+    const config = currentConfig();
+    const totals = MontyStats.totalsFor(gameState.stats, config);
+    
+    document.getElementById('stats-config').textContent = describeConfig(config);
+    document.getElementById('stay-wins').textContent = totals.stayWins;
+    document.getElementById('switch-wins').textContent = totals.switchWins;
+    document.getElementById('total-games').textContent = totals.totalGames;
+    document.getElementById('no-choice-games').textContent = totals.noChoiceGames > 0
+        ? `${totals.noChoiceGames} without a choice`
+        : '';
     
-    const stayPercentage = gameState.stayGames > 0 ? (gameState.stayWins / gameState.stayGames * 100).toFixed(1) : '0.0';
-    const switchPercentage = gameState.switchGames > 0 ? (gameState.switchWins / gameState.switchGames * 100).toFixed(1) : '0.0';
+    const stayPercentage = totals.stayGames > 0 ? (totals.stayWins / totals.stayGames * 100).toFixed(1) : '0.0';
+    const switchPercentage = totals.switchGames > 0 ? (totals.switchWins / totals.switchGames * 100).toFixed(1) : '0.0';
     
     document.getElementById('stay-percentage').textContent = `${stayPercentage}%`;
     document.getElementById('switch-percentage').textContent = `${switchPercentage}%`;
+    
+    // Exact rates for the current settings, to compare against
+    const stayTheory = (MontyEngine.theoreticalWinRate(config, 'stay') * 100).toFixed(1);
+    const switchTheory = (MontyEngine.theoreticalWinRate(config, 'switch') * 100).toFixed(1);
+    document.getElementById('stay-theory').textContent = `Theory: ${stayTheory}%`;
+    document.getElementById('switch-theory').textContent = `Theory: ${switchTheory}%`;
+    
+    updateConvergenceChart();
+    updateHistory();
+}
+
+/**
+ * Short description of a configuration, e.g. "3 doors · 1 car · 1 opened · Classic Monty"
+ */
+function describeConfig({ numDoors, numCars, doorsToOpen, host }) {
+    const hostName = MontyEngine.HOSTS[host] ? MontyEngine.HOSTS[host].name : host;
+    return `${numDoors} doors · ${numCars} ${numCars === 1 ? 'car' : 'cars'} · ${doorsToOpen} opened · ${hostName}`;
+}
+
+/**
+ * List the most recent logged rounds, newest first
+ */
+function updateHistory() {
+    const list = document.getElementById('round-history');
+    const rounds = gameState.stats.rounds.slice(-HISTORY_LIMIT).reverse();
+    list.innerHTML = '';
+    document.getElementById('history-empty').hidden = rounds.length > 0;
+    
+    rounds.forEach(entry => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = 'history-item';
+        if (replay && replay.entry === entry) {
+            button.classList.add('active');
+        }
+        
+        const summary = document.createElement('span');
+        summary.className = 'history-summary';
+        summary.textContent = describeLoggedRound(entry);
+        const details = document.createElement('span');
+        details.className = 'history-details';
+        details.textContent = describeConfig(entry);
+        
+        button.append(summary, details);
+        button.addEventListener('click', () => startReplay(entry));
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * One-line summary of a logged round, e.g. "Game 4 · Switched · Won"
+ */
+function describeLoggedRound(entry) {
+    const outcomes = {
+        win: 'Won 🚗',
+        loss: 'Lost 🐐',
+        'no-offer': 'No switch offered',
+        void: 'Void'
+    };
+    const parts = [entry.game === null ? 'Game' : `Game ${entry.game + 1}`];
+    if (entry.player) {
+        parts.push(entry.player);
+    }
+    if (entry.decision) {
+        parts.push(entry.decision === 'switch' ? 'Switched' : 'Stayed');
+    }
+    parts.push(outcomes[entry.outcome]);
+    if (entry.source === 'simulation') {
+        parts.push('simulated');
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Open a logged round and show its first step
+ */
+function startReplay(entry) {
+    let steps;
+    try {
+        steps = RoundReplay.steps(entry);
+    } catch (error) {
+        document.getElementById('history-status').textContent = "That round can't be replayed: its log entry is invalid.";
+        return;
+    }
+    
+    stopReplayPlayback();
+    clearTimeout(autoResetTimer);
+    replay = { entry, steps, step: 0, timer: null };
+    document.getElementById('history-status').textContent = '';
+    document.querySelector('.monty-hall').classList.add('replaying');
+    document.getElementById('replay-bar').hidden = false;
+    document.getElementById('replay-title').textContent = `Replaying ${describeLoggedRound(entry)} · ${describeConfig(entry)}`;
+    showReplayStep();
+    updateHistory();
+}
+
+/**
+ * Move the replay back or forward by one step
+ */
+function stepReplay(delta) {
+    if (!replay) return;
+    const step = replay.step + delta;
+    if (step < 0 || step >= replay.steps.length) return;
+    replay.step = step;
+    showReplayStep();
+}
+
+/**
+ * Render the current replay step and update its controls
+ */
+function showReplayStep() {
+    const { steps, step } = replay;
+    document.getElementById('replay-message').textContent = `Step ${step + 1} of ${steps.length}: ${steps[step].message}`;
+    document.getElementById('replay-back').disabled = step === 0;
+    document.getElementById('replay-next').disabled = step === steps.length - 1;
+    renderDoors();
+}
+
+/**
+ * Play the replay a step at a time, or pause it
+ */
+function toggleReplayPlayback() {
+    if (!replay) return;
+    if (replay.timer) {
+        stopReplayPlayback();
+        return;
+    }
+    
+    // Start from the beginning if the replay has already finished
+    if (replay.step === replay.steps.length - 1) {
+        replay.step = 0;
+        showReplayStep();
+    }
+    document.getElementById('replay-play').textContent = 'Pause';
+    replay.timer = setInterval(() => {
+        stepReplay(1);
+        if (replay.step === replay.steps.length - 1) stopReplayPlayback();
+    }, REPLAY_STEP_MS);
+}
+
+/**
+ * Stop the replay playing itself
+ */
+function stopReplayPlayback() {
+    if (!replay || !replay.timer) return;
+    clearInterval(replay.timer);
+    replay.timer = null;
+    document.getElementById('replay-play').textContent = 'Play';
+}
+
+/**
+ * Close the replay and go back to the live game
+ */
+function exitReplay() {
+    if (!replay) return;
+    stopReplayPlayback();
+    replay = null;
+    document.querySelector('.monty-hall').classList.remove('replaying');
+    document.getElementById('replay-bar').hidden = true;
+    renderDoors();
+    updateHistory();
+    scheduleAutoReset();
+}
+
+/**
+ * Redraw the running win rates against theory for the current settings
+ */
+function updateConvergenceChart() {
+    const config = currentConfig();
+    ConvergenceChart.useConfig(config);
+    ConvergenceChart.render(document.getElementById('convergence-chart'), {
+        stay: MontyEngine.theoreticalWinRate(config, 'stay'),
+        switch: MontyEngine.theoreticalWinRate(config, 'switch')
+    });
 }
 
 /**
  * Save statistics to localStorage
  */
 function saveStatistics() {
-    localStorage.setItem('montyHall_stayWins', gameState.stayWins);
-    localStorage.setItem('montyHall_switchWins', gameState.switchWins);
-    localStorage.setItem('montyHall_stayGames', gameState.stayGames);
-    localStorage.setItem('montyHall_switchGames', gameState.switchGames);
-    localStorage.setItem('montyHall_totalGames', gameState.totalGames);
+    try {
+        MontyStats.save(localStorage, gameState.stats);
+    } catch (error) {
+        console.error('Error saving Monty Hall results:', error);
+    }
 }
 
 /**
- * Load statistics from localStorage
+ * Load statistics from localStorage, offering to keep results saved by older versions
  */
 function loadStatistics() {
-    gameState.stayWins = parseInt(localStorage.getItem('montyHall_stayWins') || '0');
-    gameState.switchWins = parseInt(localStorage.getItem('montyHall_switchWins') || '0');
-    gameState.stayGames = parseInt(localStorage.getItem('montyHall_stayGames') || '0');
-    gameState.switchGames = parseInt(localStorage.getItem('montyHall_switchGames') || '0');
-    gameState.totalGames = parseInt(localStorage.getItem('montyHall_totalGames') || '0');
+    gameState.stats = MontyStats.load(localStorage);
+    updateLegacyNotice();
+}
+
+/**
+ * Show the notice about results saved before they were split by settings
+ */
+function updateLegacyNotice() {
+    const legacy = MontyStats.readLegacy(localStorage);
+    const notice = document.getElementById('legacy-stats');
+    notice.hidden = !legacy;
+    if (legacy) {
+        document.getElementById('legacy-stats-count').textContent = legacy.totalGames.toLocaleString();
+    }
+}
+
+/**
+ * Add results from older versions to the current settings
+ */
+function migrateLegacyStatistics() {
+    MontyStats.migrateLegacy(gameState.stats, localStorage, currentConfig());
+    saveStatistics();
+    updateLegacyNotice();
     updateStatistics();
 }
 
 /**
- * Reset statistics
+ * Throw away results from older versions
+ */
+function discardLegacyStatistics() {
+    if (confirm('Discard the results saved by the previous version?')) {
+        MontyStats.clearLegacy(localStorage);
+        updateLegacyNotice();
+    }
+}
+
+/**
+ * Reset statistics for every configuration, including the round log
  */
 function resetStatistics() {
-    if (confirm('Are you sure you want to reset all cumulative results?')) {
-        gameState.stayWins = 0;
-        gameState.switchWins = 0;
-        gameState.stayGames = 0;
-        gameState.switchGames = 0;
-        gameState.totalGames = 0;
+    if (confirm('Are you sure you want to reset all cumulative results for every setup?')) {
+        exitReplay();
+        gameState.stats = MontyStats.empty();
+        ConvergenceChart.reset();
         saveStatistics();
         updateStatistics();
     }
 }
 
 /**
- * Simulate multiple games automatically
+ * Download the results as CSV (the round log) or JSON (everything)
  */
-async function simulateGames(strategy, count) {
-    // Disable simulation buttons during simulation
-    const resetBtn = document.getElementById('reset-stats');
-    const stayBtn = document.getElementById('simulate-stay');
-    const switchBtn = document.getElementById('simulate-switch');
+function exportStatistics(format) {
+    const content = format === 'csv' ? MontyStats.toCSV(gameState.stats) : MontyStats.toJSON(gameState.stats);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    const url = URL.createObjectURL(new Blob([content], { type }));
     
-    resetBtn.disabled = true;
-    stayBtn.disabled = true;
-    switchBtn.disabled = true;
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `monty-hall-results.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Replace the results with a previously exported CSV or JSON file
+ */
+function importStatistics(event) {
+    const input = event.target;
+    const file = input.files[0];
+    const status = document.getElementById('stats-io-status');
+    if (!file) return;
     
-    // Store original phase
-    const originalPhase = gameState.phase;
+    file.text().then(text => {
+        const data = MontyStats.parseImport(text);
+        if (!confirm(`Replace your current results with the ${data.rounds.length.toLocaleString()} rounds in ${file.name}?`)) {
+            return;
+        }
+        exitReplay();
+        gameState.stats = data;
+        ConvergenceChart.reset();
+        saveStatistics();
+        updateStatistics();
+        status.textContent = `Imported ${file.name}.`;
+    }).catch(error => {
+        status.textContent = `Could not import ${file.name}: ${error.message}`;
+    }).finally(() => {
+        // Allow the same file to be picked again
+        input.value = '';
+    });
+}
+
+/**
+ * Load the class in session, if any
+ */
+function loadClassroom() {
+    gameState.classroom = Classroom.load(localStorage);
+    updateClassroom();
+}
+
+/**
+ * Save the class to localStorage
+ */
+function saveClassroom() {
+    try {
+        Classroom.save(localStorage, gameState.classroom);
+    } catch (error) {
+        console.error('Error saving classroom:', error);
+    }
+}
+
+/**
+ * Start a class with the names entered by the teacher
+ */
+function startClass() {
+    const names = Classroom.parseNames(document.getElementById('classroom-names').value);
+    const status = document.getElementById('classroom-status');
+    if (names.length === 0) {
+        status.textContent = 'Enter at least one player name, one per line.';
+        return;
+    }
     
-    for (let i = 0; i < count; i++) {
-        // Reset game state for simulation
-        gameState.carDoor = Math.floor(Math.random() * gameState.numDoors);
-        gameState.selectedDoor = Math.floor(Math.random() * gameState.numDoors);
-        gameState.revealedDoors = [];
-        
-        // Determine which doors to reveal (all but car and selected, leaving one other)
-        const availableDoors = [];
-        for (let j = 0; j < gameState.numDoors; j++) {
-            if (j !== gameState.carDoor && j !== gameState.selectedDoor) {
-                availableDoors.push(j);
-            }
+    status.textContent = '';
+    gameState.classroom = Classroom.start(names, document.getElementById('classroom-rotate').checked);
+    saveClassroom();
+    updateClassroom();
+}
+
+/**
+ * Pass the device to the next player
+ */
+function nextPlayer() {
+    Classroom.next(gameState.classroom);
+    saveClassroom();
+    updateClassroom();
+}
+
+/**
+ * Make a player from the leaderboard the current one
+ */
+function choosePlayer(index) {
+    Classroom.choose(gameState.classroom, index);
+    saveClassroom();
+    updateClassroom();
+}
+
+/**
+ * Clear the players and their records, ready for the next class. The names
+ * stay in the box in case the same class plays again.
+ */
+function endClass() {
+    document.getElementById('classroom-names').value = gameState.classroom.players.map(player => player.name).join('\n');
+    gameState.classroom = Classroom.empty();
+    saveClassroom();
+    updateClassroom();
+}
+
+/**
+ * Show whose turn it is and the leaderboard, or the setup form outside a class
+ */
+function updateClassroom() {
+    const classroom = gameState.classroom;
+    const active = Classroom.isActive(classroom);
+    const player = Classroom.currentPlayer(classroom);
+    
+    document.getElementById('classroom-setup').hidden = active;
+    document.getElementById('classroom-session').hidden = !active;
+    document.getElementById('classroom-rotate').checked = classroom.rotate;
+    
+    const turn = document.getElementById('player-turn');
+    turn.hidden = !active;
+    turn.textContent = player ? `${player.name}'s turn` : '';
+    if (!active) return;
+    
+    document.getElementById('current-player').textContent = player.name;
+    
+    const rows = document.getElementById('leaderboard-rows');
+    rows.innerHTML = '';
+    const formatRecord = (wins, games) => (games > 0 ? `${wins}/${games}` : '–');
+    
+    Classroom.leaderboard(classroom).forEach((entry, rank) => {
+        const row = document.createElement('tr');
+        if (entry.index === classroom.current) {
+            row.classList.add('current');
         }
         
-        // Reveal all but one of the available doors
-        const doorsToReveal = Math.min(gameState.numDoors - 2, availableDoors.length);
-        for (let j = 0; j < doorsToReveal; j++) {
-            if (availableDoors.length === 0) break;
-            const randomIndex = Math.floor(Math.random() * availableDoors.length);
-            gameState.revealedDoors.push(availableDoors.splice(randomIndex, 1)[0]);
-        }
+        // The name is a button so the teacher can hand the turn to anyone
+        const nameCell = document.createElement('td');
+        const nameButton = document.createElement('button');
+        nameButton.className = 'player-name';
+        nameButton.textContent = entry.name;
+        nameButton.title = `Make it ${entry.name}'s turn`;
+        nameButton.addEventListener('click', () => choosePlayer(entry.index));
+        nameCell.appendChild(nameButton);
         
-        // Make decision based on strategy
-        let finalDoor = gameState.selectedDoor;
+        const addCell = text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        };
+        addCell(entry.winRate === null ? '–' : `${rank + 1}`);
+        row.appendChild(nameCell);
+        addCell(`${entry.games}`);
+        addCell(formatRecord(entry.stayWins, entry.stayGames));
+        addCell(formatRecord(entry.switchWins, entry.switchGames));
+        addCell(entry.winRate === null ? '–' : `${(entry.winRate * 100).toFixed(1)}%`);
+        rows.appendChild(row);
+    });
+}
+
+/**
+ * Load the tournament strategies
+ */
+function loadStrategies() {
+    gameState.strategies = MontyStrategies.load(localStorage);
+    updateStrategyForm();
+    updateStrategyList();
+}
+
+/**
+ * Save the tournament strategies to localStorage
+ */
+function saveStrategies() {
+    try {
+        MontyStrategies.save(localStorage, gameState.strategies);
+    } catch (error) {
+        console.error('Error saving strategies:', error);
+    }
+}
+
+/**
+ * Show the input the chosen strategy type needs (a probability or a door)
+ */
+function updateStrategyForm() {
+    const param = MontyStrategies.TYPES[document.getElementById('strategy-type').value].param;
+    const input = document.getElementById('strategy-param');
+    const label = document.getElementById('strategy-param-label');
+    
+    input.hidden = label.hidden = param === null;
+    if (param === 'probability') {
+        label.textContent = 'p (%):';
+        input.min = 0;
+        input.max = 100;
+        input.value = 50;
+    } else if (param === 'door') {
+        label.textContent = 'Door X:';
+        input.min = 1;
+        input.max = MontyEngine.MAX_DOORS;
+        input.value = 1;
+    }
+}
+
+/**
+ * Add a strategy from the form
+ */
+function addStrategy() {
+    const type = document.getElementById('strategy-type').value;
+    const value = Number(document.getElementById('strategy-param').value);
+    const nameInput = document.getElementById('strategy-name');
+    const status = document.getElementById('strategy-status');
+    
+    try {
+        // The form uses percentages and 1-based door numbers
+        const strategy = MontyStrategies.normalize({
+            type,
+            probability: value / 100,
+            door: value - 1,
+            name: nameInput.value
+        });
+        gameState.strategies.push(strategy);
+    } catch (error) {
+        status.textContent = error.message;
+        return;
+    }
+    
+    status.textContent = '';
+    nameInput.value = '';
+    saveStrategies();
+    updateStrategyList();
+}
+
+/**
+ * Remove a strategy from the tournament
+ */
+function removeStrategy(index) {
+    gameState.strategies.splice(index, 1);
+    saveStrategies();
+    updateStrategyList();
+}
+
+/**
+ * List the strategies entered in the tournament
+ */
+function updateStrategyList() {
+    const list = document.getElementById('strategy-list');
+    list.innerHTML = '';
+    
+    gameState.strategies.forEach((strategy, index) => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = MontyStrategies.describe(strategy);
+        const remove = document.createElement('button');
+        remove.className = 'strategy-remove';
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', `Remove ${MontyStrategies.describe(strategy)}`);
+        remove.addEventListener('click', () => removeStrategy(index));
+        item.append(label, remove);
+        list.appendChild(item);
+    });
+    
+    document.getElementById('run-tournament').disabled = gameState.strategies.length === 0 || tournamentWorker !== null;
+}
+
+/**
+ * Play every strategy on the same seeded games in a Web Worker, showing
+ * progress, and rank them
+ */
+function runTournament() {
+    const count = parseInt(document.getElementById('tournament-count').value);
+    const status = document.getElementById('strategy-status');
+    const progress = document.getElementById('tournament-progress');
+    const button = document.getElementById('run-tournament');
+    const cancelBtn = document.getElementById('tournament-cancel');
+    
+    if (!window.Worker) {
+        status.textContent = 'Your browser does not support background simulations.';
+        return;
+    }
+    
+    // The results belong to the settings and strategies the tournament started with
+    const config = currentConfig();
+    const strategies = gameState.strategies;
+    const seed = gameState.seed;
+    const playing = `with ${strategies.length} ${strategies.length === 1 ? 'strategy' : 'strategies'}`;
+    
+    const worker = new Worker(SIMULATION_WORKER_URL);
+    tournamentWorker = worker;
+    button.disabled = true;
+    cancelBtn.disabled = false;
+    progress.value = 0;
+    status.textContent = `Playing ${count.toLocaleString()} games ${playing}...`;
+    
+    const finish = () => {
+        worker.terminate();
+        tournamentWorker = null;
+        cancelBtn.disabled = true;
+        button.disabled = gameState.strategies.length === 0;
+    };
+    
+    worker.onmessage = function(event) {
+        const { type, games, results, cancelled } = event.data;
+        progress.value = games / count;
         
-        if (strategy === 'switch') {
-            // Find the other unopened door
-            for (let j = 0; j < gameState.numDoors; j++) {
-                if (j !== gameState.selectedDoor && !gameState.revealedDoors.includes(j)) {
-                    finalDoor = j;
-                    break;
-                }
-            }
+        if (type === 'progress') {
+            status.textContent = `Played ${games.toLocaleString()} of ${count.toLocaleString()} games ${playing}...`;
+            return;
         }
         
-        // Check if won
-        const won = finalDoor === gameState.carDoor;
+        finish();
+        if (games === 0) {
+            status.textContent = 'Cancelled before any games were played.';
+            return;
+        }
         
-        // Update statistics
-        gameState.totalGames++;
-        if (strategy === 'stay') {
-            gameState.stayGames++;
-            if (won) gameState.stayWins++;
-        } else {
-            gameState.switchGames++;
-            if (won) gameState.switchWins++;
+        // A cancelled tournament still ranks the games played so far, which are the first games of the seed
+        const ranked = MontyStrategies.rank(results);
+        showTournamentResults(ranked, games, config, seed);
+        const notes = [];
+        if (cancelled) notes.push(`Cancelled after ${games.toLocaleString()} games.`);
+        if (ranked[0].offered < games) {
+            notes.push(`Only ${ranked[0].offered.toLocaleString()} games offered a switch; the rest don't count.`);
         }
+        status.textContent = notes.join(' ');
+    };
+    
+    worker.onerror = function(event) {
+        event.preventDefault();
+        status.textContent = 'The tournament failed to run. Please try again.';
+        finish();
+    };
+    
+    worker.postMessage({ type: 'tournament', config, strategies, count, seed });
+}
+
+/**
+ * Fill the tournament table with ranked results
+ */
+function showTournamentResults(results, games, config, seed) {
+    const rows = document.getElementById('tournament-rows');
+    rows.innerHTML = '';
+    
+    results.forEach((result, rank) => {
+        const row = document.createElement('tr');
+        [
+            `${rank + 1}`,
+            MontyStrategies.describe(result.strategy),
+            `${result.wins.toLocaleString()} / ${result.offered.toLocaleString()}`,
+            `${(result.winRate * 100).toFixed(1)}%`,
+            `± ${(result.margin * 100).toFixed(1)}%`
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        rows.appendChild(row);
+    });
+    
+    document.getElementById('tournament-caption').textContent =
+        `${games.toLocaleString()} games · ${describeConfig(config)} · Seed ${seed}`;
+    document.getElementById('tournament-results').hidden = false;
+}
+
+/**
+ * Ask the running tournament to stop after its current chunk
+ */
+function cancelTournament() {
+    if (!tournamentWorker) return;
+    tournamentWorker.postMessage({ type: 'cancel' });
+    document.getElementById('tournament-cancel').disabled = true;
+}
+
+/**
+ * Load the player's predictions
+ */
+function loadPredictions() {
+    gameState.predictions = MontyPredictions.load(localStorage);
+    document.getElementById('predict-first').checked = gameState.predictions.enabled;
+    updatePredictionAccuracy();
+}
+
+/**
+ * Save the player's predictions to localStorage
+ */
+function savePredictions() {
+    try {
+        MontyPredictions.save(localStorage, gameState.predictions);
+    } catch (error) {
+        console.error('Error saving predictions:', error);
+    }
+}
+
+/**
+ * Turn asking for a prediction before each simulation on or off
+ */
+function togglePredictions(event) {
+    gameState.predictions.enabled = event.target.checked;
+    savePredictions();
+    if (!gameState.predictions.enabled && pendingSimulation) skipPrediction();
+}
+
+/**
+ * Games the bulk simulation is set to run
+ */
+function bulkCount() {
+    return parseInt(document.getElementById('bulk-count').value);
+}
+
+/**
+ * Ask for a prediction before running a bulk simulation, if predicting is on
+ */
+function requestSimulation(strategy, count, run) {
+    if (!gameState.predictions.enabled) {
+        run();
+        return;
+    }
+    
+    pendingSimulation = { description: `${count.toLocaleString()} ${strategy} games`, run };
+    updatePredictionPrompt();
+    document.getElementById('prediction-status').textContent = '';
+    document.getElementById('prediction-form').hidden = false;
+    document.getElementById('predict-stay').focus();
+}
+
+/**
+ * Describe the settings the prediction is for
+ */
+function updatePredictionPrompt() {
+    document.getElementById('prediction-prompt').textContent =
+        `${describeConfig(currentConfig())}. Out of the games where the host offers a switch, ` +
+        `what share do you think staying and switching each win? Then we'll play ${pendingSimulation.description}.`;
+}
+
+/**
+ * Record the player's prediction and start the simulation it was asked for
+ */
+function lockInPrediction() {
+    if (!pendingSimulation) return;
+    
+    let prediction;
+    try {
+        prediction = MontyPredictions.parse(
+            document.getElementById('predict-stay').value,
+            document.getElementById('predict-switch').value
+        );
+    } catch (error) {
+        document.getElementById('prediction-status').textContent = error.message;
+        return;
+    }
+    
+    gameState.prediction = { config: currentConfig(), prediction };
+    document.getElementById('prediction-result').hidden = true;
+    startPendingSimulation();
+}
+
+/**
+ * Run the simulation without predicting
+ */
+function skipPrediction() {
+    if (!pendingSimulation) return;
+    gameState.prediction = null;
+    startPendingSimulation();
+}
+
+/**
+ * Close the prediction form and run the simulation waiting on it
+ */
+function startPendingSimulation() {
+    const { run } = pendingSimulation;
+    pendingSimulation = null;
+    document.getElementById('prediction-form').hidden = true;
+    run();
+}
+
+/**
+ * Score the locked-in prediction once its simulation has finished
+ */
+function settlePrediction(strategy, offered, wins) {
+    if (!gameState.prediction) return;
+    
+    const { config, prediction } = gameState.prediction;
+    gameState.prediction = null;
+    const entry = MontyPredictions.record(
+        gameState.predictions,
+        MontyPredictions.score(config, prediction, strategy, offered > 0 ? wins / offered : null)
+    );
+    savePredictions();
+    showPredictionResult(entry);
+    updatePredictionAccuracy();
+}
+
+/**
+ * Show how far off a scored prediction was
+ */
+function showPredictionResult(entry) {
+    const percent = rate => `${(rate * 100).toFixed(1)}%`;
+    const points = error => `${(error * 100).toFixed(1)} points`;
+    const close = entry.error.stay <= MontyPredictions.CLOSE_ENOUGH && entry.error.switch <= MontyPredictions.CLOSE_ENOUGH;
+    
+    document.getElementById('prediction-verdict').textContent = close
+        ? 'Spot on! Both guesses were within 5 points.'
+        : `Your guesses were off by ${points(MontyPredictions.meanError(entry))} on average.`;
+    
+    const lines = document.getElementById('prediction-lines');
+    lines.innerHTML = '';
+    ['stay', 'switch'].forEach(strategy => {
+        const item = document.createElement('li');
+        item.className = strategy;
+        let text = `${strategy === 'stay' ? 'Stay' : 'Switch'}: you said ${percent(entry.prediction[strategy])} · exact ${percent(entry.exact[strategy])}`;
+        if (strategy === entry.strategy && entry.measured !== null) {
+            text += ` · this run ${percent(entry.measured)}`;
+        }
+        item.textContent = `${text} · off by ${points(entry.error[strategy])}`;
+        lines.appendChild(item);
+    });
+    
+    document.getElementById('prediction-result').hidden = false;
+}
+
+/**
+ * Summarise how the player's predictions have improved
+ */
+function updatePredictionAccuracy() {
+    const summary = MontyPredictions.summary(gameState.predictions);
+    document.getElementById('prediction-accuracy').hidden = summary === null;
+    if (!summary) return;
+    
+    const points = error => `${(error * 100).toFixed(1)} points`;
+    let text = `${summary.count} ${summary.count === 1 ? 'prediction' : 'predictions'} · average error ${points(summary.averageError)}`;
+    if (summary.count > summary.recent) {
+        text += ` · last ${summary.recent}: ${points(summary.recentError)} (first ${summary.recent}: ${points(summary.firstError)})`;
+    }
+    text += ` · ${Math.round(summary.closeRate * 100)}% within 5 points`;
+    document.getElementById('prediction-accuracy-text').textContent = text;
+}
+
+/**
+ * Forget all of the player's predictions
+ */
+function resetPredictions() {
+    if (!confirm('Clear all of your predictions?')) return;
+    gameState.predictions.entries = [];
+    savePredictions();
+    document.getElementById('prediction-result').hidden = true;
+    updatePredictionAccuracy();
+}
+
+/**
+ * Simulate multiple games automatically
+ */
+async function simulateGames(strategy, count) {
+    // Disable simulation buttons during simulation
+    setSimulationRunning(true);
+    
+    gameState.strategy = strategy;
+    updateUrl();
+    
+    // Every game in the run uses the settings it started with, so the link replays it
+    const config = currentConfig();
+    for (let i = 0; i < count; i++) {
+        const game = gameState.gameNumber;
+        const round = MontyEngine.playRound(config, strategy, nextGameRng());
+        recordResult(round, strategy, { seed: gameState.seed, game, source: 'simulation' });
         
         // Update display every 10 games for performance
         if (i % 10 === 0 || i === count - 1) {
             updateStatistics();
+            updateSeedInfo();
             // Small delay to allow UI to update
             await new Promise(resolve => setTimeout(resolve, 10));
         }
@@ -526,14 +1621,125 @@ async function simulateGames(strategy, count) {
     saveStatistics();
     updateStatistics();
     
-    // Restore game phase
-    gameState.phase = originalPhase;
-    
     // Re-enable buttons
-    resetBtn.disabled = false;
-    stayBtn.disabled = false;
-    switchBtn.disabled = false;
+    setSimulationRunning(false);
     
     // Reset the current game
     resetGame();
 }
+
+/**
+ * Lock the simulation buttons, the settings and seed the run depends on, and
+ * everything that starts a new round, while a simulation runs
+ */
+function setSimulationRunning(running) {
+    simulationRunning = running;
+    ['reset-doors', 'reset-stats', 'simulate-stay', 'simulate-switch', 'bulk-stay', 'bulk-switch', 'prediction-run', 'prediction-skip'].forEach(id => {
+        const button = document.getElementById(id);
+        button.disabled = running;
+        button.classList.remove('suggested');
+    });
+    [doorCountInput, carCountInput, doorsToOpenInput, hostSelect, seedInput].forEach(control => {
+        control.disabled = running;
+    });
+    ['new-seed', 'restart-sequence'].forEach(id => {
+        document.getElementById(id).disabled = running;
+    });
+    
+    // A round finished during the run moves on once the run is over
+    if (running) {
+        clearTimeout(autoResetTimer);
+    } else {
+        scheduleAutoReset();
+    }
+}
+
+/**
+ * Run a large batch of games in a Web Worker, streaming progress to the page
+ */
+function runBulkSimulation(strategy) {
+    const status = document.getElementById('bulk-status');
+    const progress = document.getElementById('bulk-progress');
+    const cancelBtn = document.getElementById('bulk-cancel');
+    
+    if (!window.Worker) {
+        status.textContent = 'Your browser does not support background simulations.';
+        gameState.prediction = null;
+        return;
+    }
+    
+    const count = bulkCount();
+    // Results belong to the settings the run started with, even if they change mid-run
+    const config = currentConfig();
+    
+    setSimulationRunning(true);
+    cancelBtn.disabled = false;
+    progress.value = 0;
+    status.textContent = `Starting ${count.toLocaleString()} ${strategy} games...`;
+    
+    gameState.strategy = strategy;
+    updateUrl();
+    
+    const worker = new Worker(SIMULATION_WORKER_URL);
+    simulationWorker = worker;
+    
+    // Progress reports are running totals; the chart needs what's new since the last one
+    const charted = { offered: 0, wins: 0 };
+    
+    const finish = () => {
+        worker.terminate();
+        simulationWorker = null;
+        cancelBtn.disabled = true;
+        setSimulationRunning(false);
+        updateSeedInfo();
+    };
+    
+    worker.onmessage = function(event) {
+        const { type, games, offered, wins, cancelled } = event.data;
+        const winRate = offered > 0 ? (wins / offered * 100).toFixed(2) : '0.00';
+        progress.value = games / count;
+        
+        ConvergenceChart.record(strategy, offered - charted.offered, wins - charted.wins);
+        charted.offered = offered;
+        charted.wins = wins;
+        
+        if (type === 'progress') {
+            updateConvergenceChart();
+            status.textContent = `Played ${games.toLocaleString()} of ${count.toLocaleString()} games · ${strategy} win rate ${winRate}%`;
+            return;
+        }
+        
+        // Merge whatever was played, including a cancelled run's partial results
+        MontyStats.addResults(gameState.stats, config, strategy, { games, offered, wins });
+        saveStatistics();
+        updateStatistics();
+        status.textContent = `${cancelled ? 'Cancelled after' : 'Finished'} ${games.toLocaleString()} games · ${strategy} win rate ${winRate}%`;
+        settlePrediction(strategy, offered, wins);
+        finish();
+    };
+    
+    worker.onerror = function(event) {
+        event.preventDefault();
+        status.textContent = 'The simulation failed to run. Please try again.';
+        gameState.prediction = null;
+        finish();
+    };
+    
+    worker.postMessage({
+        type: 'start',
+        config,
+        strategy,
+        count,
+        seed: gameState.seed,
+        gameNumber: gameState.gameNumber++
+    });
+}
+
+/**
+ * Ask the running bulk simulation to stop after its current chunk
+ */
+function cancelBulkSimulation() {
+    if (!simulationWorker) return;
+    simulationWorker.postMessage({ type: 'cancel' });
+    document.getElementById('bulk-cancel').disabled = true;
+}
@@ -0,0 +1,153 @@
+/**
+ * Monty Hall Classroom Mode
+ * Pass-and-play for a class sharing one device: a list of named players who
+ * take turns, each with their own stay/switch record, and a leaderboard.
+ * Storage is passed in (localStorage in the browser) so this also runs under Node.
+ */
+
+const Classroom = {
+    STORAGE_KEY: 'montyHall_classroom',
+    MAX_NAME_LENGTH: 40,
+
+    /**
+     * A class with no players (classroom mode off)
+     */
+    empty() {
+        return { players: [], current: 0, rotate: true };
+    },
+
+    /**
+     * Player names from text with one name per line, trimmed and without duplicates
+     */
+    parseNames(text) {
+        const names = [];
+        text.split(/\r?\n/).forEach(line => {
+            const name = line.trim().slice(0, this.MAX_NAME_LENGTH);
+            if (name && !names.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+                names.push(name);
+            }
+        });
+        return names;
+    },
+
+    /**
+     * Start a class with the given players, all on a clean record
+     */
+    start(names, rotate = true) {
+        return {
+            players: names.map(name => ({
+                name,
+                games: 0,
+                stayWins: 0,
+                stayGames: 0,
+                switchWins: 0,
+                switchGames: 0,
+                noChoiceGames: 0
+            })),
+            current: 0,
+            rotate
+        };
+    },
+
+    /**
+     * Whether a class is in session
+     */
+    isActive(data) {
+        return data.players.length > 0;
+    },
+
+    /**
+     * The player whose turn it is, or null outside classroom mode
+     */
+    currentPlayer(data) {
+        return this.isActive(data) ? data.players[data.current] : null;
+    },
+
+    /**
+     * Pass the device to the next player
+     */
+    next(data) {
+        if (!this.isActive(data)) return;
+        data.current = (data.current + 1) % data.players.length;
+    },
+
+    /**
+     * Make a particular player the current one
+     */
+    choose(data, index) {
+        if (index >= 0 && index < data.players.length) {
+            data.current = index;
+        }
+    },
+
+    /**
+     * Add a finished round to the current player's record, then pass to the
+     * next player if turns rotate. Returns the player who played it.
+     */
+    record(data, round) {
+        const player = this.currentPlayer(data);
+        if (!player) return null;
+
+        player.games++;
+        if (!round.offered) {
+            player.noChoiceGames++;
+        } else if (round.decision === 'stay') {
+            player.stayGames++;
+            if (round.won) player.stayWins++;
+        } else if (round.decision === 'switch') {
+            player.switchGames++;
+            if (round.won) player.switchWins++;
+        }
+
+        if (data.rotate) this.next(data);
+        return player;
+    },
+
+    /**
+     * Win rate over rounds where the player had a choice, or null before any
+     */
+    winRate(player) {
+        const offered = player.stayGames + player.switchGames;
+        return offered > 0 ? (player.stayWins + player.switchWins) / offered : null;
+    },
+
+    /**
+     * Players ranked by win rate, then by rounds played. Players who haven't
+     * had a choice yet come last, in the order they were entered.
+     */
+    leaderboard(data) {
+        return data.players
+            .map((player, index) => ({ ...player, index, winRate: this.winRate(player) }))
+            .sort((a, b) => {
+                if (a.winRate === null || b.winRate === null) {
+                    return (a.winRate === null) - (b.winRate === null) || a.index - b.index;
+                }
+                return b.winRate - a.winRate || b.games - a.games || a.index - b.index;
+            });
+    },
+
+    /**
+     * Read the class, falling back to none if missing or unreadable
+     */
+    load(storage) {
+        try {
+            const data = JSON.parse(storage.getItem(this.STORAGE_KEY));
+            if (data && Array.isArray(data.players)) return data;
+        } catch (error) {
+            console.error('Error reading saved classroom:', error);
+        }
+        return this.empty();
+    },
+
+    /**
+     * Write the class
+     */
+    save(storage, data) {
+        storage.setItem(this.STORAGE_KEY, JSON.stringify(data));
+    }
+};
+
+// Allow the classroom to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Classroom;
+}
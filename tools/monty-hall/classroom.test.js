@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Classroom = require('./classroom.js');
+
+/**
+ * Just the fields of a finished round that a player's record uses
+ */
+function finished(decision, won, offered = true) {
+    return { decision, won, offered };
+}
+
+test('names are read one per line, trimmed and deduplicated', () => {
+    assert.deepEqual(Classroom.parseNames(' Ana \r\n\nBen\nana\n  \nChloé'), ['Ana', 'Ben', 'Chloé']);
+    assert.equal(Classroom.parseNames('x'.repeat(100))[0].length, Classroom.MAX_NAME_LENGTH);
+});
+
+test('classroom mode is off until players are entered', () => {
+    const data = Classroom.empty();
+    assert.equal(Classroom.isActive(data), false);
+    assert.equal(Classroom.currentPlayer(data), null);
+    assert.equal(Classroom.record(data, finished('stay', true)), null);
+});
+
+test('rounds are tagged to the current player and turns rotate', () => {
+    const data = Classroom.start(['Ana', 'Ben']);
+    assert.equal(Classroom.record(data, finished('switch', true)).name, 'Ana');
+    assert.equal(Classroom.record(data, finished('stay', false)).name, 'Ben');
+    assert.equal(Classroom.record(data, finished('stay', true)).name, 'Ana');
+    assert.equal(Classroom.record(data, finished(null, false, false)).name, 'Ben');
+
+    const [ana, ben] = data.players;
+    assert.deepEqual(
+        [ana.games, ana.switchWins, ana.switchGames, ana.stayWins, ana.stayGames],
+        [2, 1, 1, 1, 1]
+    );
+    assert.deepEqual(
+        [ben.games, ben.stayGames, ben.stayWins, ben.noChoiceGames],
+        [2, 1, 0, 1]
+    );
+});
+
+test('without rotation the current player keeps playing until changed', () => {
+    const data = Classroom.start(['Ana', 'Ben', 'Cy'], false);
+    Classroom.record(data, finished('stay', true));
+    Classroom.record(data, finished('stay', true));
+    assert.equal(data.players[0].games, 2);
+
+    Classroom.choose(data, 2);
+    assert.equal(Classroom.currentPlayer(data).name, 'Cy');
+    Classroom.choose(data, 7);
+    assert.equal(Classroom.currentPlayer(data).name, 'Cy');
+    Classroom.next(data);
+    assert.equal(Classroom.currentPlayer(data).name, 'Ana');
+});
+
+test('the leaderboard ranks by win rate, then rounds played, then entry order', () => {
+    const data = Classroom.start(['Ana', 'Ben', 'Cy', 'Dee', 'Eve'], false);
+    const play = (index, rounds) => {
+        Classroom.choose(data, index);
+        rounds.forEach(round => Classroom.record(data, round));
+    };
+    play(0, [finished('stay', true), finished('stay', false)]);
+    play(1, [finished('switch', true), finished('switch', true), finished('switch', false)]);
+    play(2, [finished('switch', true), finished('stay', false), finished('switch', false), finished('switch', true)]);
+    play(3, [finished(null, false, false)]);
+
+    const board = Classroom.leaderboard(data);
+    assert.deepEqual(board.map(player => player.name), ['Ben', 'Cy', 'Ana', 'Dee', 'Eve']);
+    assert.equal(board[0].winRate, 2 / 3);
+    assert.equal(board[3].winRate, null);
+});
+
+test('the class is saved and restored', () => {
+    const items = new Map();
+    const storage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+    assert.deepEqual(Classroom.load(storage), Classroom.empty());
+
+    const data = Classroom.start(['Ana', 'Ben']);
+    Classroom.record(data, finished('switch', true));
+    Classroom.save(storage, data);
+    assert.deepEqual(Classroom.load(storage), data);
+});
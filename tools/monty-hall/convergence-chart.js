@@ -0,0 +1,138 @@
+/**
+ * Monty Hall Convergence Chart
+ * Plots each strategy's running win rate against its theoretical rate, with
+ * the band where 95% of results should fall after that many games.
+ */
+
+const ConvergenceChart = {
+    STRATEGIES: ['stay', 'switch'],
+    COLORS: {
+        stay: '#f59e0b',
+        switch: '#10b981'
+    },
+    MAX_POINTS: 1000, // Thin the series beyond this so huge runs stay cheap to draw
+    BAND_SAMPLES: 60,
+    Z_95: 1.96,
+
+    series: { stay: [], switch: [] },
+    totals: { stay: { games: 0, wins: 0 }, switch: { games: 0, wins: 0 } },
+    configKey: null,
+
+    /**
+     * Clear all plotted games
+     */
+    reset() {
+        this.STRATEGIES.forEach(strategy => {
+            this.series[strategy] = [];
+            this.totals[strategy] = { games: 0, wins: 0 };
+        });
+    },
+
+    /**
+     * Start over if the game settings (and so the theory) have changed
+     */
+    useConfig(config) {
+        const key = JSON.stringify(config);
+        if (key !== this.configKey) {
+            this.configKey = key;
+            this.reset();
+        }
+    },
+
+    /**
+     * Add games played with a strategy and plot the new running win rate
+     */
+    record(strategy, games, wins) {
+        if (games <= 0) return;
+
+        const totals = this.totals[strategy];
+        totals.games += games;
+        totals.wins += wins;
+
+        const points = this.series[strategy];
+        points.push({ games: totals.games, rate: totals.wins / totals.games });
+
+        // Keep the first point and every other one after it
+        if (points.length > this.MAX_POINTS) {
+            this.series[strategy] = points.filter((point, i) => i === 0 || i % 2 === 1 || i === points.length - 1);
+        }
+    },
+
+    /**
+     * Draw the chart as an SVG into the container
+     */
+    render(container, theory) {
+        const maxGames = Math.max(10, ...this.STRATEGIES.map(strategy => this.totals[strategy].games));
+        const hasData = this.STRATEGIES.some(strategy => this.series[strategy].length > 0);
+
+        // SVG dimensions
+        const width = container.clientWidth || 600;
+        const height = 240;
+        const padding = { top: 15, right: 15, bottom: 35, left: 45 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        // Log scale on games so both the noisy start and the long run are visible
+        const logMax = Math.log10(maxGames);
+        const xFor = games => padding.left + (Math.log10(games) / logMax) * chartWidth;
+        const yFor = rate => padding.top + chartHeight - rate * chartHeight;
+
+        let svg = `<svg class="convergence-svg" width="100%" height="${height}" viewBox="0 0 ${width} ${height}">`;
+
+        // Horizontal grid lines every 25%
+        for (let i = 0; i <= 4; i++) {
+            const y = yFor(i / 4);
+            svg += `<line class="chart-grid" x1="${padding.left}" y1="${y}" x2="${width - padding.right}" y2="${y}" />`;
+            svg += `<text class="chart-label" x="${padding.left - 5}" y="${y + 3}" text-anchor="end">${i * 25}%</text>`;
+        }
+
+        // Powers of ten along the x axis
+        for (let power = 0; power <= Math.floor(logMax); power++) {
+            const games = Math.pow(10, power);
+            svg += `<text class="chart-label" x="${xFor(games)}" y="${height - padding.bottom + 15}" text-anchor="middle">${this.formatGames(games)}</text>`;
+        }
+        svg += `<text class="chart-label" x="${padding.left + chartWidth / 2}" y="${height - 5}" text-anchor="middle">Games played (log scale)</text>`;
+
+        this.STRATEGIES.forEach(strategy => {
+            const p = theory[strategy];
+            const color = this.COLORS[strategy];
+
+            // 95% band around the theoretical rate, narrowing as games accumulate
+            const upper = [];
+            const lower = [];
+            for (let i = 0; i <= this.BAND_SAMPLES; i++) {
+                const games = Math.pow(10, (logMax * i) / this.BAND_SAMPLES);
+                const margin = this.Z_95 * Math.sqrt(p * (1 - p) / games);
+                upper.push(`${xFor(games)},${yFor(Math.min(1, p + margin))}`);
+                lower.unshift(`${xFor(games)},${yFor(Math.max(0, p - margin))}`);
+            }
+            svg += `<polygon class="convergence-band" points="${upper.concat(lower).join(' ')}" fill="${color}" />`;
+
+            // Theoretical rate
+            svg += `<line class="convergence-theory" x1="${padding.left}" y1="${yFor(p)}" x2="${width - padding.right}" y2="${yFor(p)}" stroke="${color}" />`;
+
+            // Observed running win rate
+            const points = this.series[strategy];
+            if (points.length > 0) {
+                const path = points.map(point => `${xFor(point.games)},${yFor(point.rate)}`).join(' ');
+                svg += `<polyline class="convergence-line" points="${path}" stroke="${color}" />`;
+            }
+        });
+
+        if (!hasData) {
+            svg += `<text class="chart-label convergence-empty" x="${padding.left + chartWidth / 2}" y="${padding.top + chartHeight / 2}" text-anchor="middle">Play or simulate games to see the win rates converge</text>`;
+        }
+
+        svg += '</svg>';
+        container.innerHTML = svg;
+    },
+
+    /**
+     * Format an axis tick (e.g. 10K, 1M)
+     */
+    formatGames(games) {
+        if (games >= 1000000) return `${games / 1000000}M`;
+        if (games >= 1000) return `${games / 1000}K`;
+        return games.toString();
+    }
+};
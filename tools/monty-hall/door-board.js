@@ -0,0 +1,140 @@
+/**
+ * Door Board
+ * The row of doors shared by the Monty Hall tool and its sibling puzzles
+ * (Three Prisoners, Bertrand's Box): draws doors from plain descriptions,
+ * reveals them one at a time and keeps keyboard focus steady across redraws.
+ *
+ * A door is described by an object such as
+ * { label: '2', name: 'Door 2', content: '🚗', contentName: 'car', selected: true,
+ *   revealed: false, opened: false, probability: 0.667, onClick: () => ... }
+ * probabilityText, if given, is shown instead of the percentage.
+ * Doors with a group are drawn together, e.g. the two drawers of a cabinet.
+ */
+
+const DoorBoard = {
+    /**
+     * Draw the doors into the container, replacing what was there
+     */
+    render(container, doors, wording = {}) {
+        // Keep keyboard focus on the same door across the rebuild
+        const focusedDoor = container.contains(document.activeElement) && document.activeElement.dataset.doorIndex !== undefined
+            ? parseInt(document.activeElement.dataset.doorIndex)
+            : null;
+        container.innerHTML = '';
+
+        let groupElement = null;
+        let groupName = null;
+        doors.forEach((model, i) => {
+            const door = document.createElement('button');
+            door.type = 'button';
+            door.className = 'door';
+            door.dataset.doorIndex = i;
+            if (model.selected) door.classList.add('selected');
+            if (model.finalChoice) door.classList.add('final-choice');
+            if (model.revealed) door.classList.add('revealed');
+            if (model.opened) door.classList.add('opened');
+
+            const number = document.createElement('span');
+            number.className = 'door-number';
+            number.textContent = model.label;
+            door.appendChild(number);
+
+            // Hidden until the door is revealed or opened
+            const content = document.createElement('span');
+            content.className = 'door-content';
+            if (model.contentClass) content.classList.add(model.contentClass);
+            content.textContent = model.content;
+            door.appendChild(content);
+
+            if (model.probability !== undefined && model.probability !== null) {
+                const probability = document.createElement('span');
+                probability.className = 'probability';
+                probability.textContent = model.probabilityText || `${(model.probability * 100).toFixed(1)}%`;
+                door.appendChild(probability);
+            }
+
+            if (model.onClick) {
+                door.addEventListener('click', model.onClick);
+                door.classList.add('clickable');
+                if (model.switchTarget) door.classList.add('switch-target');
+            } else {
+                // Stay focusable so screen readers can still read the door
+                door.setAttribute('aria-disabled', 'true');
+            }
+
+            door.setAttribute('aria-label', this.describe(model, wording));
+
+            if (model.group === undefined) {
+                container.appendChild(door);
+                return;
+            }
+            if (!groupElement || model.group !== groupName) {
+                groupName = model.group;
+                groupElement = document.createElement('div');
+                groupElement.className = 'door-group';
+                groupElement.setAttribute('role', 'group');
+                groupElement.setAttribute('aria-label', model.group);
+                const heading = document.createElement('span');
+                heading.className = 'door-group-label';
+                heading.textContent = model.group;
+                groupElement.appendChild(heading);
+                container.appendChild(groupElement);
+            }
+            groupElement.appendChild(door);
+        });
+
+        const focusable = this.doors(container);
+        if (focusedDoor !== null && focusable[focusedDoor]) {
+            focusable[focusedDoor].focus();
+        }
+    },
+
+    /**
+     * Spoken description of a door, e.g. "Door 2, closed, your pick, 66.7% chance of a car".
+     * Each puzzle can reword the pick, the final choice and what the chance is of.
+     */
+    describe(model, { probabilityOf = 'a car', pickText = 'your pick', finalText = 'switched to' } = {}) {
+        const parts = [model.name || `Door ${model.label}`];
+
+        parts.push(model.revealed || model.opened ? `open, ${model.contentName}` : 'closed');
+        if (model.selected) parts.push(pickText);
+        if (model.finalChoice) parts.push(finalText);
+        if (model.switchTarget && model.onClick) parts.push('switch here');
+        if (model.probability !== undefined && model.probability !== null) {
+            parts.push(model.probabilityText || `${(model.probability * 100).toFixed(1)}% chance of ${probabilityOf}`);
+        }
+
+        return parts.join(', ');
+    },
+
+    /**
+     * The door buttons in the container, in order
+     */
+    doors(container) {
+        return container.querySelectorAll('.door');
+    },
+
+    /**
+     * Move keyboard focus to the previous or next door, wrapping around
+     */
+    moveFocus(container, door, delta) {
+        const doors = this.doors(container);
+        const index = parseInt(door.dataset.doorIndex);
+        doors[(index + delta + doors.length) % doors.length].focus();
+    },
+
+    /**
+     * Reveal count doors one at a time: show(i) draws the first i, pausing
+     * between them. show returns false to stop early (e.g. the game was reset).
+     * Resolves to whether every door was shown.
+     */
+    async revealInTurn(count, delayMs, show) {
+        for (let i = 1; i <= count; i++) {
+            if (show(i) === false) return false;
+            if (delayMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+        return true;
+    }
+};
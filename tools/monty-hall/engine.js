@@ -0,0 +1,460 @@
+/**
+ * Monty Hall Game Engine
+ * Headless, pure game logic shared by the interactive game and the simulator.
+ * Every transition returns a new round object and never touches the DOM.
+ * Randomness comes from an injected rng function returning a float in [0, 1).
+ */
+
+const MontyEngine = {
+    PHASES: {
+        SELECT: 'SELECT',
+        HOST_REVEAL: 'HOST_REVEAL',
+        SWITCH_OR_STAY: 'SWITCH_OR_STAY',
+        DECIDED: 'DECIDED',
+        REVEAL: 'REVEAL'
+    },
+
+    MIN_DOORS: 3,
+    MAX_DOORS: 16,
+    MAX_SEED: 4294967295,
+
+    // Host behaviours. Each decides which doors to open and whether a switch is offered.
+    HOSTS: {
+        classic: {
+            name: 'Classic Monty',
+            description: 'Knows where the cars are and always opens goat doors at random.'
+        },
+        fall: {
+            name: 'Monty Fall',
+            description: 'Opens doors at random without knowing where the cars are. If he reveals a car the round is void.'
+        },
+        crawl: {
+            name: 'Monty Crawl',
+            description: 'Knows where the cars are and always opens the lowest-numbered goat doors he can.'
+        },
+        hell: {
+            name: 'Monty from Hell',
+            description: 'Only opens doors and offers a switch when your first pick is a car.'
+        }
+    },
+
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     */
+    createRng(seed) {
+        let a = seed >>> 0;
+        return function() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Independent rng for one game in a seeded sequence, so game N always plays
+     * out the same way no matter how many random draws earlier games used
+     */
+    roundRng(seed, gameNumber) {
+        const mixed = this.createRng((seed ^ Math.imul(gameNumber + 1, 0x9E3779B1)) >>> 0)();
+        return this.createRng(Math.floor(mixed * 4294967296));
+    },
+
+    /**
+     * Pick a random integer in [0, max) using the given rng
+     */
+    randomInt(rng, max) {
+        return Math.floor(rng() * max);
+    },
+
+    /**
+     * Validate a game configuration and fill in defaults.
+     * By default there is one car and the host opens as many doors as he can.
+     */
+    normalizeConfig({ numDoors, numCars = 1, host = 'classic', doorsToOpen = this.maxDoorsToOpen(numDoors, numCars) }) {
+        if (!Number.isInteger(numDoors) || numDoors < this.MIN_DOORS || numDoors > this.MAX_DOORS) {
+            throw new RangeError(`Number of doors must be between ${this.MIN_DOORS} and ${this.MAX_DOORS}`);
+        }
+        if (!Number.isInteger(numCars) || numCars < 1 || numCars > this.maxCars(numDoors)) {
+            throw new RangeError(`Number of cars must be between 1 and ${this.maxCars(numDoors)}`);
+        }
+        if (!this.HOSTS[host]) {
+            throw new Error(`Unknown host: ${host}`);
+        }
+        const maxOpen = this.maxDoorsToOpen(numDoors, numCars);
+        if (!Number.isInteger(doorsToOpen) || doorsToOpen < 1 || doorsToOpen > maxOpen) {
+            throw new RangeError(`The host must open between 1 and ${maxOpen} doors`);
+        }
+        return { numDoors, numCars, host, doorsToOpen };
+    },
+
+    /**
+     * Most cars that still leave the host a goat to open whatever the pick
+     */
+    maxCars(numDoors) {
+        return numDoors - 2;
+    },
+
+    /**
+     * Most doors the host can open while leaving something to switch to.
+     * If the pick is a goat, only the other numDoors - numCars - 1 goats can be opened.
+     */
+    maxDoorsToOpen(numDoors, numCars = 1) {
+        return Math.min(numDoors - 2, numDoors - numCars - 1);
+    },
+
+    /**
+     * Start a new round: hide the cars behind random doors
+     */
+    newRound(config, rng = Math.random) {
+        const { numDoors, numCars, host, doorsToOpen } = this.normalizeConfig(config);
+
+        // Partial Fisher-Yates shuffle to draw distinct doors
+        const doors = Array.from({ length: numDoors }, (_, i) => i);
+        for (let i = 0; i < numCars; i++) {
+            const j = i + this.randomInt(rng, numDoors - i);
+            [doors[i], doors[j]] = [doors[j], doors[i]];
+        }
+
+        return {
+            numDoors,
+            numCars,
+            host,
+            doorsToOpen,
+            carDoors: doors.slice(0, numCars).sort((a, b) => a - b),
+            selectedDoor: null,
+            revealedDoors: [],
+            offered: null, // Whether the player got to choose between staying and switching
+            carRevealed: false,
+            decision: null,
+            finalDoor: null,
+            won: null,
+            phase: this.PHASES.SELECT
+        };
+    },
+
+    /**
+     * Player picks their initial door
+     */
+    selectDoor(round, doorIndex) {
+        this.assertPhase(round, this.PHASES.SELECT);
+        if (!Number.isInteger(doorIndex) || doorIndex < 0 || doorIndex >= round.numDoors) {
+            throw new RangeError(`Invalid door: ${doorIndex}`);
+        }
+
+        return { ...round, selectedDoor: doorIndex, phase: this.PHASES.HOST_REVEAL };
+    },
+
+    /**
+     * Host opens doorsToOpen of the other doors according to the host model.
+     * If no switch is on offer (Monty from Hell declines, or Monty Fall reveals
+     * the car) the round skips straight to DECIDED with the player's first pick.
+     */
+    hostReveal(round, rng = Math.random) {
+        this.assertPhase(round, this.PHASES.HOST_REVEAL);
+
+        const pickedCar = round.carDoors.includes(round.selectedDoor);
+        if (round.host === 'hell' && !pickedCar) {
+            return this.withoutOffer(round, []);
+        }
+
+        const doorsToReveal = round.doorsToOpen;
+        const candidates = [];
+        for (let i = 0; i < round.numDoors; i++) {
+            if (i === round.selectedDoor) continue;
+            // Only Monty Fall is ignorant enough to consider car doors
+            if (round.carDoors.includes(i) && round.host !== 'fall') continue;
+            candidates.push(i);
+        }
+
+        const revealedDoors = [];
+        if (round.host === 'crawl') {
+            // Candidates are already in ascending order
+            revealedDoors.push(...candidates.slice(0, doorsToReveal));
+        } else {
+            for (let i = 0; i < doorsToReveal; i++) {
+                const randomIndex = this.randomInt(rng, candidates.length);
+                revealedDoors.push(candidates.splice(randomIndex, 1)[0]);
+            }
+        }
+
+        if (revealedDoors.some(door => round.carDoors.includes(door))) {
+            return { ...this.withoutOffer(round, revealedDoors), carRevealed: true };
+        }
+
+        return { ...round, revealedDoors, offered: true, phase: this.PHASES.SWITCH_OR_STAY };
+    },
+
+    /**
+     * End the host's turn without offering a switch; the player keeps their pick
+     */
+    withoutOffer(round, revealedDoors) {
+        return {
+            ...round,
+            revealedDoors,
+            offered: false,
+            finalDoor: round.selectedDoor,
+            phase: this.PHASES.DECIDED
+        };
+    },
+
+    /**
+     * Doors the player could switch to (closed and not their current pick)
+     */
+    switchTargets(round) {
+        const targets = [];
+        for (let i = 0; i < round.numDoors; i++) {
+            if (i !== round.selectedDoor && !round.revealedDoors.includes(i)) {
+                targets.push(i);
+            }
+        }
+        return targets;
+    },
+
+    /**
+     * Player decides to 'stay' or 'switch'. When more than one door is left to
+     * switch to, the target door must be given.
+     */
+    decide(round, decision, targetDoor) {
+        this.assertPhase(round, this.PHASES.SWITCH_OR_STAY);
+
+        let finalDoor = round.selectedDoor;
+        if (decision === 'switch') {
+            const targets = this.switchTargets(round);
+            if (targetDoor === undefined && targets.length === 1) {
+                targetDoor = targets[0];
+            }
+            if (!targets.includes(targetDoor)) {
+                throw new RangeError(`Cannot switch to door: ${targetDoor}`);
+            }
+            finalDoor = targetDoor;
+        } else if (decision !== 'stay') {
+            throw new Error(`Unknown decision: ${decision}`);
+        }
+
+        return { ...round, decision, finalDoor, phase: this.PHASES.DECIDED };
+    },
+
+    /**
+     * Open every door and settle the outcome
+     */
+    resolve(round) {
+        this.assertPhase(round, this.PHASES.DECIDED);
+        // A round where Monty Fall revealed a car is void: nobody wins or loses
+        const won = round.carRevealed ? null : round.carDoors.includes(round.finalDoor);
+        return { ...round, won, phase: this.PHASES.REVEAL };
+    },
+
+    /**
+     * Play a full round headlessly with a fixed strategy.
+     * Switching picks uniformly among the doors left closed.
+     */
+    playRound(config, strategy, rng = Math.random) {
+        let round = this.newRound(config, rng);
+        round = this.selectDoor(round, this.randomInt(rng, round.numDoors));
+        round = this.hostReveal(round, rng);
+        if (round.offered) {
+            const targets = this.switchTargets(round);
+            round = this.decide(round, strategy, targets[this.randomInt(rng, targets.length)]);
+        }
+        return this.resolve(round);
+    },
+
+    /**
+     * Play many rounds and tally the wins. Only rounds where a switch was
+     * offered count towards the strategy's win rate.
+     */
+    simulate(config, strategy, count, rng = Math.random) {
+        let offered = 0;
+        let wins = 0;
+        for (let i = 0; i < count; i++) {
+            const round = this.playRound(config, strategy, rng);
+            if (!round.offered) continue;
+            offered++;
+            if (round.won) wins++;
+        }
+        return { games: count, offered, wins };
+    },
+
+    /**
+     * Exact long-run win rate for a strategy, over the rounds where a switch is offered
+     */
+    theoreticalWinRate(config, strategy) {
+        const { numDoors, numCars, host, doorsToOpen } = this.normalizeConfig(config);
+        const isSwitch = strategy === 'switch';
+        const closedOthers = numDoors - 1 - doorsToOpen;
+
+        switch (host) {
+            case 'fall':
+                // Given the host happened to open only goats, every closed door is equally likely
+                return numCars / (numDoors - doorsToOpen);
+            case 'hell':
+                // A switch is only ever offered when the first pick is a car,
+                // leaving the other numCars - 1 cars among the closed doors
+                return isSwitch ? (numCars - 1) / closedOthers : 1;
+            default:
+                // Every car other than the pick is still behind a closed door, so
+                // a random target wins (k - 1)/c after picking a car and k/c after
+                // picking a goat. Crawl's door preference changes individual
+                // rounds but not the long-run rate.
+                return isSwitch
+                    ? numCars * (numDoors - 1) / (numDoors * closedOthers)
+                    : numCars / numDoors;
+        }
+    },
+
+    /**
+     * Chance that the host's observed reveals happen, given where the cars are.
+     * revealedCars lists the revealed doors that turned out to hide a car.
+     */
+    revealLikelihood(config, carDoors, selectedDoor, revealedDoors, revealedCars = []) {
+        const { numDoors, numCars, host } = config;
+        const opened = revealedDoors.length;
+        const pickedCar = carDoors.includes(selectedDoor);
+        if (revealedDoors.some(door => carDoors.includes(door) !== revealedCars.includes(door))) return 0;
+        // Only Monty Fall ever opens a car door
+        if (revealedCars.length > 0 && host !== 'fall') return 0;
+
+        switch (host) {
+            case 'fall':
+                // Every set of other doors is equally likely to be opened
+                return 1 / this.combinations(numDoors - 1, opened);
+            case 'crawl': {
+                // Deterministic: the lowest-numbered goat doors other than the pick
+                const expected = [];
+                for (let i = 0; i < numDoors && expected.length < opened; i++) {
+                    if (i !== selectedDoor && !carDoors.includes(i)) expected.push(i);
+                }
+                const actual = [...revealedDoors].sort((a, b) => a - b);
+                return expected.every((door, i) => door === actual[i]) ? 1 : 0;
+            }
+            case 'hell':
+                if (!pickedCar) return 0;
+                return 1 / this.combinations(numDoors - numCars, opened);
+            default: {
+                const goatsAvailable = numDoors - numCars - (pickedCar ? 0 : 1);
+                return 1 / this.combinations(goatsAvailable, opened);
+            }
+        }
+    },
+
+    /**
+     * Probability that each door hides a car, given the pick and the doors the
+     * host has opened so far (Bayes' rule over every possible car placement).
+     * With several cars the probabilities add up to the number of cars. When
+     * Monty Fall opens a car door (a void round), pass it in revealedCars: that
+     * door is then certain to hide a car.
+     */
+    doorProbabilities(config, selectedDoor, revealedDoors, revealedCars = []) {
+        const normalized = this.normalizeConfig(config);
+        const { numDoors, numCars } = normalized;
+        if (selectedDoor === null || revealedDoors.length === 0) {
+            return new Array(numDoors).fill(numCars / numDoors);
+        }
+
+        // Every placement is equally likely up front, so the prior cancels out
+        const weights = new Array(numDoors).fill(0);
+        let total = 0;
+        this.forEachCombination(numDoors, numCars, carDoors => {
+            const weight = this.revealLikelihood(normalized, carDoors, selectedDoor, revealedDoors, revealedCars);
+            if (weight === 0) return;
+            total += weight;
+            carDoors.forEach(door => {
+                weights[door] += weight;
+            });
+        });
+        return weights.map(weight => (total > 0 ? weight / total : 0));
+    },
+
+    /**
+     * The steps of Bayes' rule behind doorProbabilities, one branch per door:
+     * prior P(car behind door), P(pick), likelihood P(host's reveal | car
+     * behind door), their product (joint) and the posterior. evidence is the
+     * overall chance of the pick and reveal, which every joint is divided by.
+     * Before a pick or reveal the missing steps have probability 1. revealedCars
+     * is as for doorProbabilities.
+     */
+    bayesBranches(config, selectedDoor, revealedDoors, revealedCars = []) {
+        const normalized = this.normalizeConfig(config);
+        const { numDoors, numCars } = normalized;
+        const prior = numCars / numDoors;
+        const pick = selectedDoor === null ? 1 : 1 / numDoors;
+
+        // Sum the reveal likelihood over every placement, crediting each car door
+        const likelihoodSums = new Array(numDoors).fill(0);
+        let likelihoodTotal = 0;
+        this.forEachCombination(numDoors, numCars, carDoors => {
+            const likelihood = selectedDoor === null || revealedDoors.length === 0
+                ? 1
+                : this.revealLikelihood(normalized, carDoors, selectedDoor, revealedDoors, revealedCars);
+            likelihoodTotal += likelihood;
+            carDoors.forEach(door => {
+                likelihoodSums[door] += likelihood;
+            });
+        });
+
+        // Average over the placements that put a car behind each door
+        const placementsWithDoor = this.combinations(numDoors - 1, numCars - 1);
+        const evidence = pick * likelihoodTotal / this.combinations(numDoors, numCars);
+        const branches = likelihoodSums.map((sum, door) => {
+            const likelihood = sum / placementsWithDoor;
+            const joint = prior * pick * likelihood;
+            return {
+                door,
+                prior,
+                pick,
+                likelihood,
+                joint,
+                posterior: evidence > 0 ? joint / evidence : 0
+            };
+        });
+
+        return { evidence, branches };
+    },
+
+    /**
+     * Call back with every k-element subset of [0, n), in ascending order
+     */
+    forEachCombination(n, k, callback) {
+        const indices = Array.from({ length: k }, (_, i) => i);
+        while (true) {
+            callback(indices);
+
+            // Advance the rightmost index that still has room to move
+            let i = k - 1;
+            while (i >= 0 && indices[i] === n - k + i) i--;
+            if (i < 0) return;
+            indices[i]++;
+            for (let j = i + 1; j < k; j++) {
+                indices[j] = indices[j - 1] + 1;
+            }
+        }
+    },
+
+    /**
+     * Number of ways to choose k items from n
+     */
+    combinations(n, k) {
+        if (k < 0 || k > n) return 0;
+        let result = 1;
+        for (let i = 1; i <= k; i++) {
+            result = result * (n - k + i) / i;
+        }
+        return result;
+    },
+
+    /**
+     * Guard against out-of-order transitions
+     */
+    assertPhase(round, expected) {
+        if (round.phase !== expected) {
+            throw new Error(`Expected phase ${expected} but round is in ${round.phase}`);
+        }
+    }
+};
+
+// Allow the engine to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MontyEngine;
+}
@@ -0,0 +1,396 @@
+/**
+ * Monty Hall Engine Tests
+ * Run with `npm test` (uses the built-in Node test runner)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MontyEngine = require('./engine.js');
+
+const SIMULATED_GAMES = 5000;
+const SIMULATED_DOORS = [3, 8, 16];
+
+/**
+ * Deterministic rng that replays a fixed sequence of values
+ */
+function sequenceRng(values) {
+    let i = 0;
+    return () => values[i++ % values.length];
+}
+
+test('seeded rng is reproducible and in range', () => {
+    const a = MontyEngine.createRng(42);
+    const b = MontyEngine.createRng(42);
+    for (let i = 0; i < 1000; i++) {
+        const value = a();
+        assert.equal(value, b());
+        assert.ok(value >= 0 && value < 1);
+    }
+    assert.notEqual(MontyEngine.createRng(1)(), MontyEngine.createRng(2)());
+});
+
+test('per-game rngs depend only on the seed and game number', () => {
+    const first = MontyEngine.roundRng(1234, 5);
+    first();
+    first();
+    assert.equal(MontyEngine.roundRng(1234, 5)(), MontyEngine.roundRng(1234, 5)());
+    assert.notEqual(MontyEngine.roundRng(1234, 5)(), MontyEngine.roundRng(1234, 6)());
+    assert.notEqual(MontyEngine.roundRng(1234, 5)(), MontyEngine.roundRng(1235, 5)());
+
+    const replay = seed => Array.from({ length: 50 }, (_, i) =>
+        MontyEngine.playRound({ numDoors: 7 }, 'switch', MontyEngine.roundRng(seed, i)));
+    assert.deepEqual(replay(99), replay(99));
+});
+
+test('transitions run in order and reject out-of-order calls', () => {
+    let round = MontyEngine.newRound({ numDoors: 3 }, sequenceRng([0.5]));
+    assert.equal(round.phase, 'SELECT');
+    assert.deepEqual(round.carDoors, [1]);
+    assert.throws(() => MontyEngine.hostReveal(round), /Expected phase HOST_REVEAL/);
+
+    round = MontyEngine.selectDoor(round, 0);
+    assert.equal(round.phase, 'HOST_REVEAL');
+    assert.throws(() => MontyEngine.decide(round, 'stay'), /Expected phase SWITCH_OR_STAY/);
+
+    round = MontyEngine.hostReveal(round);
+    assert.equal(round.phase, 'SWITCH_OR_STAY');
+    assert.deepEqual(round.revealedDoors, [2]);
+
+    round = MontyEngine.decide(round, 'switch');
+    assert.equal(round.phase, 'DECIDED');
+    assert.equal(round.finalDoor, 1);
+
+    round = MontyEngine.resolve(round);
+    assert.equal(round.phase, 'REVEAL');
+    assert.equal(round.won, true);
+});
+
+test('transitions do not mutate the previous round', () => {
+    const round = MontyEngine.selectDoor(MontyEngine.newRound({ numDoors: 5 }, MontyEngine.createRng(7)), 2);
+    const snapshot = JSON.parse(JSON.stringify(round));
+    MontyEngine.hostReveal(round, MontyEngine.createRng(7));
+    assert.deepEqual(round, snapshot);
+});
+
+test('invalid configs, doors and decisions are rejected', () => {
+    assert.throws(() => MontyEngine.newRound({ numDoors: 2 }), RangeError);
+    assert.throws(() => MontyEngine.newRound({ numDoors: 17 }), RangeError);
+    assert.throws(() => MontyEngine.newRound({ numDoors: 3, host: 'monty-python' }), /Unknown host/);
+    const round = MontyEngine.newRound({ numDoors: 3 });
+    assert.throws(() => MontyEngine.selectDoor(round, 3), RangeError);
+    const revealed = MontyEngine.hostReveal(MontyEngine.selectDoor(round, 0));
+    assert.throws(() => MontyEngine.decide(revealed, 'dither'), /Unknown decision/);
+});
+
+for (let numDoors = MontyEngine.MIN_DOORS; numDoors <= MontyEngine.MAX_DOORS; numDoors++) {
+    test(`${numDoors} doors: host never reveals the car or the pick and leaves one door to switch to`, () => {
+        let stayWins = 0;
+        let switchWins = 0;
+
+        // Exhaustively cover every car placement and initial pick
+        for (let carDoor = 0; carDoor < numDoors; carDoor++) {
+            for (let pick = 0; pick < numDoors; pick++) {
+                const base = { ...MontyEngine.newRound({ numDoors }), carDoors: [carDoor] };
+                const rng = MontyEngine.createRng(carDoor * 100 + pick);
+                const round = MontyEngine.hostReveal(MontyEngine.selectDoor(base, pick), rng);
+
+                assert.equal(round.revealedDoors.length, numDoors - 2);
+                assert.ok(!round.revealedDoors.includes(carDoor));
+                assert.ok(!round.revealedDoors.includes(pick));
+                assert.equal(MontyEngine.switchTargets(round).length, 1);
+
+                if (MontyEngine.resolve(MontyEngine.decide(round, 'stay')).won) stayWins++;
+                if (MontyEngine.resolve(MontyEngine.decide(round, 'switch')).won) switchWins++;
+            }
+        }
+
+        // Each (car, pick) pair is equally likely, so these are the exact win rates
+        const pairs = numDoors * numDoors;
+        const config = { numDoors };
+        assert.equal(stayWins / pairs, MontyEngine.theoreticalWinRate(config, 'stay'));
+        assert.equal(switchWins / pairs, MontyEngine.theoreticalWinRate(config, 'switch'));
+        assert.equal(MontyEngine.theoreticalWinRate(config, 'stay'), 1 / numDoors);
+        assert.equal(MontyEngine.theoreticalWinRate(config, 'switch'), (numDoors - 1) / numDoors);
+    });
+
+    test(`${numDoors} doors: exact win rates for every number of doors the host opens`, () => {
+        for (let doorsToOpen = 1; doorsToOpen <= numDoors - 2; doorsToOpen++) {
+            const config = { numDoors, doorsToOpen };
+            let stayWins = 0;
+            let switchWins = 0;
+
+            for (let carDoor = 0; carDoor < numDoors; carDoor++) {
+                for (let pick = 0; pick < numDoors; pick++) {
+                    const base = { ...MontyEngine.newRound(config), carDoors: [carDoor] };
+                    const round = MontyEngine.hostReveal(MontyEngine.selectDoor(base, pick), MontyEngine.createRng(carDoor + pick));
+                    const targets = MontyEngine.switchTargets(round);
+
+                    assert.equal(round.revealedDoors.length, doorsToOpen);
+                    assert.ok(!round.revealedDoors.includes(carDoor));
+                    assert.equal(targets.length, numDoors - 1 - doorsToOpen);
+
+                    // A uniformly random switch wins if the car is among the targets
+                    if (pick === carDoor) stayWins++;
+                    else {
+                        assert.ok(targets.includes(carDoor));
+                        switchWins += 1 / targets.length;
+                    }
+                }
+            }
+
+            const pairs = numDoors * numDoors;
+            assertCloseTo(stayWins / pairs, MontyEngine.theoreticalWinRate(config, 'stay'));
+            assertCloseTo(switchWins / pairs, MontyEngine.theoreticalWinRate(config, 'switch'));
+        }
+    });
+}
+
+// The exact checks above cover every door count; simulating a few is enough
+// to show the seeded games agree with them
+for (const numDoors of SIMULATED_DOORS) {
+    for (const host of Object.keys(MontyEngine.HOSTS)) {
+        test(`${numDoors} doors, ${host} host: seeded simulation matches the known win rates`, () => {
+            const config = { numDoors, host };
+            for (const strategy of ['stay', 'switch']) {
+                const expected = MontyEngine.theoreticalWinRate(config, strategy);
+                const { offered, wins } = MontyEngine.simulate(config, strategy, SIMULATED_GAMES, MontyEngine.createRng(numDoors));
+                assertRate(wins, offered, expected, `${host} ${strategy}`);
+            }
+        });
+    }
+}
+
+/**
+ * Assert an observed rate is within four standard errors of the exact rate
+ */
+function assertRate(hits, trials, expected, label) {
+    const tolerance = 4 * Math.sqrt(expected * (1 - expected) / trials);
+    assert.ok(Math.abs(hits / trials - expected) <= tolerance,
+        `${label}: got ${(hits / trials).toFixed(4)}, expected ${expected.toFixed(4)}`);
+}
+
+test('classic host: posterior is 1/n on the pick and the rest on the closed door', () => {
+    const probabilities = MontyEngine.doorProbabilities({ numDoors: 3 }, 0, [1]);
+    assertClose(probabilities, [1 / 3, 0, 2 / 3]);
+    assertClose(MontyEngine.doorProbabilities({ numDoors: 5 }, 4, [0, 2, 3]), [0, 4 / 5, 0, 0, 1 / 5]);
+    assertClose(MontyEngine.doorProbabilities({ numDoors: 4 }, 0, []), [1 / 4, 1 / 4, 1 / 4, 1 / 4]);
+});
+
+test('Monty Fall: goat reveals leave all closed doors equally likely, car reveals void the round', () => {
+    assertClose(MontyEngine.doorProbabilities({ numDoors: 3, host: 'fall' }, 0, [1]), [1 / 2, 0, 1 / 2]);
+
+    // The host opens n - 2 random doors, so he misses the car with probability 2/n
+    for (const numDoors of [3, 8, 16]) {
+        const config = { numDoors, host: 'fall' };
+        const { games, offered } = MontyEngine.simulate(config, 'stay', SIMULATED_GAMES, MontyEngine.createRng(1));
+        assertRate(offered, games, 2 / numDoors, `fall offer rate with ${numDoors} doors`);
+    }
+
+    let round = { ...MontyEngine.newRound({ numDoors: 3, host: 'fall' }), carDoors: [2] };
+    round = MontyEngine.hostReveal(MontyEngine.selectDoor(round, 0), sequenceRng([0.99]));
+    assert.deepEqual(round.revealedDoors, [2]);
+    assert.equal(round.carRevealed, true);
+    assert.equal(round.offered, false);
+    assert.equal(MontyEngine.resolve(round).won, null);
+
+    // The revealed car is certain; without it the reveal looks impossible and every door would read 0
+    assertClose(MontyEngine.doorProbabilities(round, 0, round.revealedDoors, [2]), [0, 0, 1]);
+    assertClose(MontyEngine.doorProbabilities({ numDoors: 5, numCars: 2, doorsToOpen: 2, host: 'fall' }, 0, [1, 2], [2]), [1 / 3, 0, 1, 1 / 3, 1 / 3]);
+    assert.equal(MontyEngine.bayesBranches(round, 0, round.revealedDoors, [2]).branches[2].posterior, 1);
+    assertClose(MontyEngine.doorProbabilities({ numDoors: 3 }, 0, [2], [2]), [0, 0, 0]);
+});
+
+test('Monty Crawl: opens the lowest goat doors, so skipping one gives the car away', () => {
+    const config = { numDoors: 3, host: 'crawl' };
+    const round = MontyEngine.hostReveal(MontyEngine.selectDoor({ ...MontyEngine.newRound(config), carDoors: [0] }, 0));
+    assert.deepEqual(round.revealedDoors, [1]);
+
+    assertClose(MontyEngine.doorProbabilities(config, 0, [1]), [1 / 2, 0, 1 / 2]);
+    assertClose(MontyEngine.doorProbabilities(config, 0, [2]), [0, 1, 0]);
+
+    assertPosteriorMatchesFrequencies({ numDoors: 4, host: 'crawl' }, 3);
+});
+
+test('Monty from Hell: only offers a switch when the pick is the car', () => {
+    const config = { numDoors: 4, host: 'hell' };
+    for (let carDoor = 0; carDoor < 4; carDoor++) {
+        for (let pick = 0; pick < 4; pick++) {
+            const round = MontyEngine.hostReveal(MontyEngine.selectDoor({ ...MontyEngine.newRound(config), carDoors: [carDoor] }, pick));
+            assert.equal(round.offered, pick === carDoor);
+            if (!round.offered) {
+                assert.deepEqual(round.revealedDoors, []);
+                assert.equal(MontyEngine.resolve(round).won, false);
+            }
+        }
+    }
+    assertClose(MontyEngine.doorProbabilities(config, 1, [0, 3]), [0, 1, 0, 0]);
+});
+
+test('host can open fewer doors, and switching needs a target when several are closed', () => {
+    const config = { numDoors: 6, doorsToOpen: 2 };
+    let round = { ...MontyEngine.newRound(config), carDoors: [5] };
+    round = MontyEngine.hostReveal(MontyEngine.selectDoor(round, 0), MontyEngine.createRng(1));
+    assert.equal(round.revealedDoors.length, 2);
+    assert.equal(MontyEngine.switchTargets(round).length, 3);
+
+    assert.throws(() => MontyEngine.decide(round, 'switch'), /Cannot switch to door/);
+    assert.throws(() => MontyEngine.decide(round, 'switch', round.revealedDoors[0]), /Cannot switch to door/);
+    assert.throws(() => MontyEngine.decide(round, 'switch', 0), /Cannot switch to door/);
+    assert.equal(MontyEngine.resolve(MontyEngine.decide(round, 'switch', 5)).won, true);
+
+    assert.throws(() => MontyEngine.newRound({ numDoors: 6, doorsToOpen: 0 }), RangeError);
+    assert.throws(() => MontyEngine.newRound({ numDoors: 6, doorsToOpen: 5 }), RangeError);
+
+    // With 10 doors, opening 1 gives switching 9/80; opening 8 gives 9/10
+    assertCloseTo(MontyEngine.theoreticalWinRate({ numDoors: 10, doorsToOpen: 1 }, 'switch'), 9 / 80);
+    assertCloseTo(MontyEngine.theoreticalWinRate({ numDoors: 10, doorsToOpen: 8 }, 'switch'), 9 / 10);
+
+    // Posterior: the pick keeps 1/n and the closed doors share the rest
+    assertClose(MontyEngine.doorProbabilities(config, 0, [1, 2]), [1 / 6, 0, 0, 5 / 18, 5 / 18, 5 / 18]);
+});
+
+test('every host matches its theory when opening only some of the doors', () => {
+    for (const [numDoors, doorsToOpen] of [[4, 1], [7, 3], [12, 5], [16, 1]]) {
+        for (const host of Object.keys(MontyEngine.HOSTS)) {
+            const config = { numDoors, host, doorsToOpen };
+            for (const strategy of ['stay', 'switch']) {
+                const expected = MontyEngine.theoreticalWinRate(config, strategy);
+                const { offered, wins } = MontyEngine.simulate(config, strategy, SIMULATED_GAMES, MontyEngine.createRng(doorsToOpen));
+                assertRate(wins, offered, expected, `${numDoors} doors, ${host} opens ${doorsToOpen}, ${strategy}`);
+            }
+        }
+    }
+
+    assertPosteriorMatchesFrequencies({ numDoors: 5, host: 'crawl', doorsToOpen: 2 }, 11);
+});
+
+test('several cars: exact win rates over every placement and pick', () => {
+    for (const [numDoors, numCars] of [[4, 2], [6, 3], [8, 2], [10, 4]]) {
+        for (let doorsToOpen = 1; doorsToOpen <= MontyEngine.maxDoorsToOpen(numDoors, numCars); doorsToOpen++) {
+            const config = { numDoors, numCars, doorsToOpen };
+            let cases = 0;
+            let stayWins = 0;
+            let switchWins = 0;
+
+            MontyEngine.forEachCombination(numDoors, numCars, combination => {
+                const carDoors = [...combination];
+                for (let pick = 0; pick < numDoors; pick++) {
+                    const base = { ...MontyEngine.newRound(config), carDoors };
+                    const round = MontyEngine.hostReveal(MontyEngine.selectDoor(base, pick), MontyEngine.createRng(pick));
+                    const targets = MontyEngine.switchTargets(round);
+
+                    assert.equal(round.revealedDoors.length, doorsToOpen);
+                    assert.ok(round.revealedDoors.every(door => !carDoors.includes(door)));
+
+                    cases++;
+                    if (carDoors.includes(pick)) stayWins++;
+                    switchWins += targets.filter(door => carDoors.includes(door)).length / targets.length;
+                }
+            });
+
+            assertCloseTo(stayWins / cases, MontyEngine.theoreticalWinRate(config, 'stay'), `${numDoors}/${numCars}/${doorsToOpen} stay`);
+            assertCloseTo(switchWins / cases, MontyEngine.theoreticalWinRate(config, 'switch'), `${numDoors}/${numCars}/${doorsToOpen} switch`);
+        }
+    }
+});
+
+test('several cars: every host matches its theory and posteriors match frequencies', () => {
+    for (const [numDoors, numCars, doorsToOpen] of [[5, 2, 2], [9, 3, 4], [16, 6, 9]]) {
+        for (const host of Object.keys(MontyEngine.HOSTS)) {
+            const config = { numDoors, numCars, host, doorsToOpen };
+            for (const strategy of ['stay', 'switch']) {
+                const expected = MontyEngine.theoreticalWinRate(config, strategy);
+                const { offered, wins } = MontyEngine.simulate(config, strategy, SIMULATED_GAMES, MontyEngine.createRng(numCars));
+                assertRate(wins, offered, expected, `${numDoors} doors, ${numCars} cars, ${host}, ${strategy}`);
+            }
+        }
+    }
+
+    for (const host of Object.keys(MontyEngine.HOSTS)) {
+        assertPosteriorMatchesFrequencies({ numDoors: 5, numCars: 2, host, doorsToOpen: 2 }, 21);
+    }
+
+    // Probabilities add up to the number of cars
+    const probabilities = MontyEngine.doorProbabilities({ numDoors: 16, numCars: 8, doorsToOpen: 7 }, 0, [1, 2, 3]);
+    assertCloseTo(probabilities.reduce((sum, p) => sum + p, 0), 8);
+});
+
+test('Bayes branches show the classic derivation step by step', () => {
+    const { evidence, branches } = MontyEngine.bayesBranches({ numDoors: 3 }, 0, [2]);
+    assertCloseTo(evidence, 1 / 3 * 1 / 2, 'evidence');
+    assertClose(branches.map(branch => branch.prior), [1 / 3, 1 / 3, 1 / 3]);
+    assertClose(branches.map(branch => branch.pick), [1 / 3, 1 / 3, 1 / 3]);
+    assertClose(branches.map(branch => branch.likelihood), [1 / 2, 1, 0]);
+    assertClose(branches.map(branch => branch.joint), [1 / 18, 1 / 9, 0]);
+    assertClose(branches.map(branch => branch.posterior), [1 / 3, 2 / 3, 0]);
+
+    // Before the pick every branch is just the prior
+    const before = MontyEngine.bayesBranches({ numDoors: 4, numCars: 2 }, null, []);
+    assertCloseTo(before.evidence, 1, 'evidence before the pick');
+    assertClose(before.branches.map(branch => branch.posterior), [1 / 2, 1 / 2, 1 / 2, 1 / 2]);
+});
+
+test('Bayes branch posteriors match doorProbabilities for every host and car count', () => {
+    for (const [numDoors, numCars, doorsToOpen] of [[3, 1, 1], [6, 1, 3], [7, 3, 2]]) {
+        for (const host of Object.keys(MontyEngine.HOSTS)) {
+            const config = { numDoors, numCars, host, doorsToOpen };
+            const rng = MontyEngine.createRng(numDoors);
+            for (let game = 0; game < 20; game++) {
+                const round = MontyEngine.playRound(config, 'stay', rng);
+                const { branches } = MontyEngine.bayesBranches(config, round.selectedDoor, round.revealedDoors);
+                assertClose(
+                    branches.map(branch => branch.posterior),
+                    MontyEngine.doorProbabilities(config, round.selectedDoor, round.revealedDoors)
+                );
+            }
+        }
+    }
+});
+
+test('car and door-opening limits depend on each other', () => {
+    assert.equal(MontyEngine.maxCars(3), 1);
+    assert.equal(MontyEngine.maxDoorsToOpen(10, 1), 8);
+    assert.equal(MontyEngine.maxDoorsToOpen(10, 4), 5);
+    assert.throws(() => MontyEngine.newRound({ numDoors: 5, numCars: 4 }), RangeError);
+    assert.throws(() => MontyEngine.newRound({ numDoors: 10, numCars: 4, doorsToOpen: 6 }), RangeError);
+
+    const round = MontyEngine.newRound({ numDoors: 10, numCars: 4 }, MontyEngine.createRng(5));
+    assert.equal(new Set(round.carDoors).size, 4);
+    assert.equal(round.doorsToOpen, 5);
+});
+
+/**
+ * Assert the posterior for every observed (pick, reveals) pair matches how
+ * often the car really was behind each door in a seeded simulation
+ */
+function assertPosteriorMatchesFrequencies(config, seed) {
+    const counts = {};
+    const rng = MontyEngine.createRng(seed);
+    for (let i = 0; i < SIMULATED_GAMES; i++) {
+        const played = MontyEngine.playRound(config, 'stay', rng);
+        if (!played.offered) continue;
+        const key = `${played.selectedDoor}:${[...played.revealedDoors].sort().join(',')}`;
+        counts[key] = counts[key] || { total: 0, cars: new Array(config.numDoors).fill(0), sample: played };
+        counts[key].total++;
+        played.carDoors.forEach(door => counts[key].cars[door]++);
+    }
+    for (const { total, cars, sample } of Object.values(counts)) {
+        const expected = MontyEngine.doorProbabilities(config, sample.selectedDoor, sample.revealedDoors);
+        cars.forEach((hits, door) => assertRate(hits, total, expected[door], `${config.host} door ${door}`));
+    }
+}
+
+/**
+ * Assert two arrays of probabilities match to floating point precision
+ */
+function assertClose(actual, expected) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => assertCloseTo(value, expected[i], `door ${i}`));
+}
+
+/**
+ * Assert two numbers match to floating point precision
+ */
+function assertCloseTo(actual, expected, label = 'value') {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: got ${actual}, expected ${expected}`);
+}
@@ -0,0 +1,129 @@
+/**
+ * Monty Hall Predictions
+ * Before a bulk simulation the player guesses the stay and switch win rates; each
+ * guess is scored against the exact rates for the settings and kept so the
+ * player can see their intuition improve. Storage is passed in (localStorage
+ * in the browser) so this also runs under Node.
+ */
+
+// Loaded after engine.js in the browser; required directly under Node
+const PredictionEngine = typeof MontyEngine !== 'undefined' ? MontyEngine : require('./engine.js');
+
+const MontyPredictions = {
+    STORAGE_KEY: 'montyHall_predictions',
+    MAX_ENTRIES: 200,
+    RECENT: 5, // Predictions in the "recent" average, to show a trend
+    CLOSE_ENOUGH: 0.05, // Both rates within 5 percentage points counts as a good call
+
+    /**
+     * No predictions yet, with predicting turned on
+     */
+    empty() {
+        return { enabled: true, entries: [] };
+    },
+
+    /**
+     * Stay and switch predictions from percentages typed by the player, as
+     * fractions. Throws with a readable message if either is missing or out of range.
+     */
+    parse(stayText, switchText) {
+        const read = (text, label) => {
+            const percent = String(text).trim() === '' ? NaN : Number(text);
+            if (!(percent >= 0 && percent <= 100)) {
+                throw new RangeError(`Enter a ${label} win rate between 0% and 100%`);
+            }
+            return percent / 100;
+        };
+        return { stay: read(stayText, 'stay'), switch: read(switchText, 'switch') };
+    },
+
+    /**
+     * Score a prediction for a configuration. strategy is the one the
+     * simulation ran and measured its measured win rate (null if nothing was offered).
+     */
+    score(config, prediction, strategy, measured, time = new Date().toISOString()) {
+        const exact = {
+            stay: PredictionEngine.theoreticalWinRate(config, 'stay'),
+            switch: PredictionEngine.theoreticalWinRate(config, 'switch')
+        };
+        return {
+            time,
+            config: PredictionEngine.normalizeConfig(config),
+            prediction: { ...prediction },
+            exact,
+            strategy,
+            measured,
+            error: {
+                stay: Math.abs(prediction.stay - exact.stay),
+                switch: Math.abs(prediction.switch - exact.switch)
+            }
+        };
+    },
+
+    /**
+     * Average of the stay and switch errors for one scored prediction
+     */
+    meanError(entry) {
+        return (entry.error.stay + entry.error.switch) / 2;
+    },
+
+    /**
+     * Keep a scored prediction, dropping the oldest beyond MAX_ENTRIES
+     */
+    record(data, entry) {
+        data.entries.push(entry);
+        if (data.entries.length > this.MAX_ENTRIES) {
+            data.entries.splice(0, data.entries.length - this.MAX_ENTRIES);
+        }
+        return entry;
+    },
+
+    /**
+     * Accuracy over time: average error overall, for the first and the most
+     * recent predictions, and the share of predictions that were close enough
+     */
+    summary(data) {
+        const entries = data.entries;
+        if (entries.length === 0) return null;
+
+        const average = list => list.reduce((sum, entry) => sum + this.meanError(entry), 0) / list.length;
+        const recent = Math.min(this.RECENT, entries.length);
+        const close = entries.filter(entry =>
+            entry.error.stay <= this.CLOSE_ENOUGH && entry.error.switch <= this.CLOSE_ENOUGH
+        ).length;
+
+        return {
+            count: entries.length,
+            averageError: average(entries),
+            firstError: average(entries.slice(0, recent)),
+            recentError: average(entries.slice(-recent)),
+            recent,
+            closeRate: close / entries.length
+        };
+    },
+
+    /**
+     * Read saved predictions, falling back to none if missing or unreadable
+     */
+    load(storage) {
+        try {
+            const data = JSON.parse(storage.getItem(this.STORAGE_KEY));
+            if (data && Array.isArray(data.entries)) return { ...this.empty(), ...data };
+        } catch (error) {
+            console.error('Error reading saved predictions:', error);
+        }
+        return this.empty();
+    },
+
+    /**
+     * Write the predictions
+     */
+    save(storage, data) {
+        storage.setItem(this.STORAGE_KEY, JSON.stringify(data));
+    }
+};
+
+// Allow the predictions to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MontyPredictions;
+}
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MontyPredictions = require('./predictions.js');
+
+const CLASSIC = { numDoors: 3, numCars: 1, doorsToOpen: 1, host: 'classic' };
+
+test('predictions are typed as percentages and checked', () => {
+    assert.deepEqual(MontyPredictions.parse('50', ' 66.7 '), { stay: 0.5, switch: 0.667 });
+    assert.deepEqual(MontyPredictions.parse(0, 100), { stay: 0, switch: 1 });
+    assert.throws(() => MontyPredictions.parse('', '50'), /stay win rate/);
+    assert.throws(() => MontyPredictions.parse('50', '101'), /switch win rate/);
+    assert.throws(() => MontyPredictions.parse('50', 'lots'), RangeError);
+});
+
+test('a prediction is scored against the exact rates for its settings', () => {
+    const entry = MontyPredictions.score(CLASSIC, { stay: 0.5, switch: 0.5 }, 'switch', 0.664, 'now');
+    assert.equal(entry.exact.stay, 1 / 3);
+    assert.equal(entry.exact.switch, 2 / 3);
+    assert.ok(Math.abs(entry.error.stay - 1 / 6) < 1e-12);
+    assert.ok(Math.abs(entry.error.switch - 1 / 6) < 1e-12);
+    assert.equal(entry.measured, 0.664);
+    assert.deepEqual(entry.config, CLASSIC);
+
+    // With 10 doors and 8 opened, switching wins 9 times in 10
+    const tenDoors = MontyPredictions.score({ numDoors: 10 }, { stay: 0.1, switch: 0.9 }, 'stay', 0.1);
+    assert.ok(MontyPredictions.meanError(tenDoors) < 1e-12);
+});
+
+test('accuracy is summarised overall and for the most recent predictions', () => {
+    const data = MontyPredictions.empty();
+    assert.equal(MontyPredictions.summary(data), null);
+
+    // A player who starts at 50/50 and learns
+    const guesses = [[0.5, 0.5], [0.5, 0.5], [0.4, 0.6], [0.35, 0.65], [1 / 3, 2 / 3], [1 / 3, 2 / 3]];
+    guesses.forEach(([stay, switchRate]) => {
+        MontyPredictions.record(data, MontyPredictions.score(CLASSIC, { stay, switch: switchRate }, 'stay', null));
+    });
+
+    const summary = MontyPredictions.summary(data);
+    assert.equal(summary.count, 6);
+    assert.equal(summary.recent, MontyPredictions.RECENT);
+    assert.ok(summary.recentError < summary.firstError);
+    assert.equal(summary.closeRate, 3 / 6);
+});
+
+test('only the most recent predictions are kept and they survive a reload', () => {
+    const items = new Map();
+    const storage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+    assert.deepEqual(MontyPredictions.load(storage), MontyPredictions.empty());
+
+    const data = MontyPredictions.empty();
+    for (let i = 0; i <= MontyPredictions.MAX_ENTRIES; i++) {
+        MontyPredictions.record(data, MontyPredictions.score(CLASSIC, { stay: 0.5, switch: 0.5 }, 'stay', null, `t${i}`));
+    }
+    assert.equal(data.entries.length, MontyPredictions.MAX_ENTRIES);
+    assert.equal(data.entries[0].time, 't1');
+
+    data.enabled = false;
+    MontyPredictions.save(storage, data);
+    assert.deepEqual(MontyPredictions.load(storage), data);
+});
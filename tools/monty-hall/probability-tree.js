@@ -0,0 +1,136 @@
+/**
+ * Monty Hall Probability Tree
+ * Draws the Bayes' rule derivation behind the door percentages: one branch
+ * per door, from car placement to the pick to the host's reveal, with the
+ * conditional probability on each edge and the resulting chance of a car.
+ */
+
+// Loaded after engine.js in the browser; required directly under Node
+const TreeEngine = typeof MontyEngine !== 'undefined' ? MontyEngine : require('./engine.js');
+
+const ProbabilityTree = {
+    ROW_HEIGHT: 30,
+    HEADER_HEIGHT: 34,
+    FOOTER_HEIGHT: 44,
+    WIDTH: 760, // Drawn at a fixed size and scaled to fit the container
+    MAX_DENOMINATOR: 10000, // Larger fractions are shown as decimals
+
+    /**
+     * Draw the tree for a round as an SVG into the container. carDoors is only
+     * passed once the doors have been opened, so the tree can't give the game away.
+     * revealedCars lists any opened doors that hid a car (a void Monty Fall round).
+     */
+    render(container, { config, selectedDoor, revealedDoors, revealedCars = [], carDoors = null }) {
+        const { numDoors, numCars } = config;
+        const { evidence, branches } = TreeEngine.bayesBranches(config, selectedDoor, revealedDoors, revealedCars);
+        const picked = selectedDoor !== null;
+        const revealed = picked && revealedDoors.length > 0;
+
+        const height = this.HEADER_HEIGHT + numDoors * this.ROW_HEIGHT + this.FOOTER_HEIGHT;
+        const columns = { root: 10, car: 90, pick: 270, reveal: 420, joint: 590, posterior: 680 };
+        const rowY = door => this.HEADER_HEIGHT + door * this.ROW_HEIGHT + this.ROW_HEIGHT / 2;
+        const rootY = this.HEADER_HEIGHT + (numDoors * this.ROW_HEIGHT) / 2;
+        const fraction = value => this.formatFraction(value);
+
+        let svg = `<svg class="tree-svg" width="100%" viewBox="0 0 ${this.WIDTH} ${height}" role="img" aria-label="Probability tree for the current game">`;
+
+        // Column headings
+        const headings = [
+            [columns.car, 'Car placement'],
+            [columns.pick, 'Your pick'],
+            [columns.reveal, 'Host opens'],
+            [columns.joint, 'Joint'],
+            [columns.posterior, 'Chance of a car']
+        ];
+        headings.forEach(([x, text]) => {
+            svg += `<text class="tree-heading" x="${x}" y="16">${text}</text>`;
+        });
+
+        svg += `<text class="tree-label" x="${columns.root}" y="${rootY + 4}">Start</text>`;
+
+        const revealText = revealedDoors.length > 4
+            ? `${revealedDoors.length} goat doors`
+            : `door ${[...revealedDoors].sort((a, b) => a - b).map(door => door + 1).join(', ')}`;
+
+        branches.forEach(branch => {
+            const y = rowY(branch.door);
+            const eliminated = branch.joint === 0;
+            const actual = carDoors !== null && carDoors.includes(branch.door);
+            const classes = ['tree-branch'];
+            if (eliminated) classes.push('tree-eliminated');
+            if (picked && !eliminated) classes.push('tree-observed');
+            if (actual) classes.push('tree-actual');
+
+            svg += `<g class="${classes.join(' ')}">`;
+
+            // Start -> car placement, labelled with the prior
+            svg += `<line class="tree-edge" x1="${columns.root + 38}" y1="${rootY}" x2="${columns.car - 4}" y2="${y}" />`;
+            svg += `<text class="tree-label" x="${columns.car}" y="${y + 4}">${numCars > 1 ? 'A car' : 'Car'} behind ${branch.door + 1}</text>`;
+            svg += `<text class="tree-probability" x="${columns.car + 112}" y="${y + 4}">${fraction(branch.prior)}</text>`;
+
+            // Car placement -> pick
+            svg += `<line class="tree-edge" x1="${columns.car + 150}" y1="${y}" x2="${columns.pick - 4}" y2="${y}" />`;
+            svg += `<text class="tree-label" x="${columns.pick}" y="${y + 4}">${picked ? `Door ${selectedDoor + 1}` : '?'}</text>`;
+            if (picked) {
+                svg += `<text class="tree-probability" x="${columns.pick + 60}" y="${y + 4}">× ${fraction(branch.pick)}</text>`;
+            }
+
+            // Pick -> reveal, labelled with the likelihood of what the host did
+            svg += `<line class="tree-edge" x1="${columns.pick + 120}" y1="${y}" x2="${columns.reveal - 4}" y2="${y}" />`;
+            svg += `<text class="tree-label" x="${columns.reveal}" y="${y + 4}">${revealed ? revealText : '?'}</text>`;
+            if (revealed) {
+                svg += `<text class="tree-probability" x="${columns.reveal + 115}" y="${y + 4}">× ${fraction(branch.likelihood)}</text>`;
+            }
+
+            // Joint and posterior
+            svg += `<text class="tree-probability" x="${columns.joint}" y="${y + 4}">= ${fraction(branch.joint)}</text>`;
+            svg += `<text class="tree-result" x="${columns.posterior}" y="${y + 4}">${(branch.posterior * 100).toFixed(1)}%</text>`;
+            svg += '</g>';
+        });
+
+        // How the joints turn into the chances on the doors
+        const footerY = this.HEADER_HEIGHT + numDoors * this.ROW_HEIGHT + 18;
+        let footer;
+        if (!picked) {
+            footer = `Before you pick, each door hides a car with probability ${fraction(numCars / numDoors)}.`;
+        } else if (!revealed) {
+            footer = 'Your pick doesn\'t depend on where the cars are, so the chances are unchanged until the host opens a door.';
+        } else {
+            footer = `Adding up the joints gives P(this pick and reveal) = ${fraction(evidence)}. Each door's chance is its joint ÷ ${fraction(evidence)}.`;
+        }
+        svg += `<text class="tree-footer" x="${columns.root}" y="${footerY}">${footer}</text>`;
+        if (numCars > 1) {
+            svg += `<text class="tree-footer" x="${columns.root}" y="${footerY + 18}">With ${numCars} cars the branches overlap, so the chances add up to ${numCars}.</text>`;
+        }
+
+        svg += '</svg>';
+        container.innerHTML = svg;
+    },
+
+    /**
+     * Show a probability as a fraction where it has a small denominator
+     * (e.g. 1/3), otherwise as a decimal
+     */
+    formatFraction(value) {
+        if (value === 0) return '0';
+        if (Math.abs(value - 1) < 1e-12) return '1';
+
+        // Continued fraction convergents give the simplest fraction first
+        let [h0, h1, k0, k1] = [0, 1, 1, 0];
+        let x = value;
+        for (let i = 0; i < 20; i++) {
+            const a = Math.floor(x);
+            [h0, h1] = [h1, a * h1 + h0];
+            [k0, k1] = [k1, a * k1 + k0];
+            if (k1 > this.MAX_DENOMINATOR) break;
+            if (Math.abs(h1 / k1 - value) < 1e-9 * value) return `${h1}/${k1}`;
+            x = 1 / (x - a);
+        }
+        return value.toPrecision(3);
+    }
+};
+
+// Allow the tree to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProbabilityTree;
+}
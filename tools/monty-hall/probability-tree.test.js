@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProbabilityTree = require('./probability-tree.js');
+
+/**
+ * Draw the tree and read back each door's branch: its classes, joint and chance of a car
+ */
+function drawBranches(round) {
+    const container = { innerHTML: '' };
+    ProbabilityTree.render(container, round);
+    const branches = [...container.innerHTML.matchAll(/<g class="([^"]+)">(.*?)<\/g>/g)].map(([, classes, branch]) => ({
+        classes: classes.split(' '),
+        joint: branch.match(/>= ([^<]+)</)[1],
+        chance: branch.match(/class="tree-result"[^>]*>([^<]+)</)[1]
+    }));
+    return { svg: container.innerHTML, branches };
+}
+
+test('probabilities are shown as simple fractions, or decimals when the fraction is unwieldy', () => {
+    assert.equal(ProbabilityTree.formatFraction(0), '0');
+    assert.equal(ProbabilityTree.formatFraction(1), '1');
+    assert.equal(ProbabilityTree.formatFraction(1 - 1e-15), '1');
+    assert.equal(ProbabilityTree.formatFraction(1 / 3), '1/3');
+    assert.equal(ProbabilityTree.formatFraction(2 / 3), '2/3');
+    assert.equal(ProbabilityTree.formatFraction(5 / 18), '5/18');
+    assert.equal(ProbabilityTree.formatFraction(1 / 16 / 15), '1/240');
+    assert.equal(ProbabilityTree.formatFraction(1 / 10007), '0.0000999');
+    assert.equal(ProbabilityTree.formatFraction(Math.PI / 10), '0.314');
+});
+
+test('the classic host makes switching twice as likely to win', () => {
+    const { svg, branches } = drawBranches({ config: { numDoors: 3 }, selectedDoor: 0, revealedDoors: [2] });
+    assert.deepEqual(branches.map(branch => branch.joint), ['1/18', '1/9', '0']);
+    assert.deepEqual(branches.map(branch => branch.chance), ['33.3%', '66.7%', '0.0%']);
+    assert.ok(branches[2].classes.includes('tree-eliminated'));
+    assert.match(svg, /P\(this pick and reveal\) = 1\/6/);
+});
+
+test('when the host opens a door at random, a goat reveal leaves even odds', () => {
+    const { svg, branches } = drawBranches({ config: { numDoors: 3, host: 'fall' }, selectedDoor: 0, revealedDoors: [1] });
+    assert.deepEqual(branches.map(branch => branch.joint), ['1/18', '0', '1/18']);
+    assert.deepEqual(branches.map(branch => branch.chance), ['50.0%', '0.0%', '50.0%']);
+    assert.match(svg, /P\(this pick and reveal\) = 1\/9/);
+
+    // Opening the car voids the round, and the opened door is certain to hold it
+    const voided = drawBranches({ config: { numDoors: 3, host: 'fall' }, selectedDoor: 0, revealedDoors: [1], revealedCars: [1] });
+    assert.deepEqual(voided.branches.map(branch => branch.chance), ['0.0%', '100.0%', '0.0%']);
+});
+
+test('before the pick every door has the prior, and the cars are marked once shown', () => {
+    const { svg, branches } = drawBranches({ config: { numDoors: 4, numCars: 2 }, selectedDoor: null, revealedDoors: [], carDoors: [1, 3] });
+    assert.deepEqual(branches.map(branch => branch.joint), ['1/2', '1/2', '1/2', '1/2']);
+    assert.deepEqual(branches.map(branch => branch.classes.includes('tree-actual')), [false, true, false, true]);
+    assert.match(svg, /each door hides a car with probability 1\/2/);
+    assert.match(svg, /the chances add up to 2/);
+});
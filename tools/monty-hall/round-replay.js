@@ -0,0 +1,81 @@
+/**
+ * Monty Hall Round Replay
+ * Rebuilds a logged round (see MontyStats.logRound) as the sequence of engine
+ * rounds it passed through, so it can be stepped through with the game's own
+ * door rendering.
+ */
+
+// Loaded after engine.js in the browser; required directly under Node
+const ReplayEngine = typeof MontyEngine !== 'undefined' ? MontyEngine : require('./engine.js');
+
+const RoundReplay = {
+    /**
+     * Steps for a logged round: the pick, each door the host opens, the
+     * decision and the final reveal. Each step is { round, revealedCount, message }.
+     * Throws if the log entry isn't a valid round.
+     */
+    steps(entry) {
+        const PHASES = ReplayEngine.PHASES;
+        const door = index => `door ${index + 1}`;
+        const steps = [];
+
+        const start = {
+            numDoors: entry.numDoors,
+            numCars: entry.numCars,
+            host: entry.host,
+            doorsToOpen: entry.doorsToOpen,
+            carDoors: [...entry.carDoors],
+            selectedDoor: null,
+            revealedDoors: [],
+            offered: null,
+            carRevealed: false,
+            decision: null,
+            finalDoor: null,
+            won: null,
+            phase: PHASES.SELECT
+        };
+
+        const picked = ReplayEngine.selectDoor(start, entry.selectedDoor);
+        steps.push({ round: picked, revealedCount: 0, message: `Picked ${door(entry.selectedDoor)}.` });
+
+        const offered = entry.outcome === 'win' || entry.outcome === 'loss';
+        const hosted = offered
+            ? { ...picked, revealedDoors: [...entry.revealedDoors], offered: true, phase: PHASES.SWITCH_OR_STAY }
+            : { ...ReplayEngine.withoutOffer(picked, [...entry.revealedDoors]), carRevealed: entry.outcome === 'void' };
+
+        entry.revealedDoors.forEach((revealed, i) => {
+            const prize = entry.carDoors.includes(revealed) ? 'a car!' : 'a goat.';
+            steps.push({ round: hosted, revealedCount: i + 1, message: `Monty opens ${door(revealed)}: ${prize}` });
+        });
+
+        let decided = hosted;
+        let decisionMessage;
+        if (entry.outcome === 'void') {
+            decisionMessage = 'Monty revealed a car, so the round is void.';
+        } else if (!offered) {
+            decisionMessage = `Monty didn't offer a switch, so ${door(entry.selectedDoor)} is kept.`;
+        } else {
+            decided = ReplayEngine.decide(hosted, entry.decision, entry.finalDoor);
+            decisionMessage = entry.decision === 'switch'
+                ? `Switched from ${door(entry.selectedDoor)} to ${door(entry.finalDoor)}.`
+                : `Stayed with ${door(entry.selectedDoor)}.`;
+        }
+        steps.push({ round: decided, revealedCount: entry.revealedDoors.length, message: decisionMessage });
+
+        const finished = ReplayEngine.resolve(decided);
+        let resultMessage;
+        if (finished.won === null) {
+            resultMessage = "All doors are open. This round doesn't count.";
+        } else {
+            resultMessage = `All doors are open: ${door(finished.finalDoor)} hides ${finished.won ? 'a car. Won!' : 'a goat. Lost.'}`;
+        }
+        steps.push({ round: finished, revealedCount: entry.revealedDoors.length, message: resultMessage });
+
+        return steps;
+    }
+};
+
+// Allow the replay to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoundReplay;
+}
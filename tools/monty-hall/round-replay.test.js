@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MontyEngine = require('./engine.js');
+const MontyStats = require('./stats-store.js');
+const RoundReplay = require('./round-replay.js');
+
+/**
+ * Play a round with a fixed seed and return its log entry alongside it
+ */
+function loggedRound(config, strategy, seed) {
+    const round = MontyEngine.playRound(config, strategy, MontyEngine.createRng(seed));
+    const data = MontyStats.empty();
+    MontyStats.logRound(data, round, { time: 'T' });
+    return { round, entry: data.rounds[0] };
+}
+
+test('a replay steps through the pick, each reveal, the decision and the final reveal', () => {
+    const { round, entry } = loggedRound({ numDoors: 6, doorsToOpen: 3 }, 'switch', 1);
+    const steps = RoundReplay.steps(entry);
+
+    assert.equal(steps.length, 1 + 3 + 2);
+    assert.equal(steps[0].round.selectedDoor, round.selectedDoor);
+    assert.equal(steps[0].revealedCount, 0);
+    assert.deepEqual(steps.slice(1, 4).map(step => step.revealedCount), [1, 2, 3]);
+    assert.equal(steps[4].round.phase, MontyEngine.PHASES.DECIDED);
+    assert.equal(steps[4].round.finalDoor, round.finalDoor);
+    assert.match(steps[4].message, /^Switched from door \d+ to door \d+\.$/);
+
+    const last = steps[steps.length - 1].round;
+    assert.equal(last.phase, MontyEngine.PHASES.REVEAL);
+    assert.deepEqual(last, round);
+});
+
+test('replays end in the same state as the original round for every host', () => {
+    ['classic', 'fall', 'crawl', 'hell'].forEach(host => {
+        ['stay', 'switch'].forEach(strategy => {
+            for (let seed = 0; seed < 30; seed++) {
+                const { round, entry } = loggedRound({ numDoors: 5, numCars: 2, doorsToOpen: 2, host }, strategy, seed);
+                const steps = RoundReplay.steps(entry);
+                assert.deepEqual(steps[steps.length - 1].round, round, `${host} ${strategy} seed ${seed}`);
+            }
+        });
+    });
+});
+
+test('rounds without a real choice explain why', () => {
+    const voidEntry = {
+        numDoors: 3, numCars: 1, doorsToOpen: 1, host: 'fall',
+        carDoors: [1], selectedDoor: 0, revealedDoors: [1],
+        decision: null, finalDoor: 0, outcome: 'void'
+    };
+    const voidSteps = RoundReplay.steps(voidEntry);
+    assert.equal(voidSteps[1].message, 'Monty opens door 2: a car!');
+    assert.match(voidSteps[2].message, /void/);
+    assert.equal(voidSteps[3].round.won, null);
+
+    const quietEntry = { ...voidEntry, host: 'hell', revealedDoors: [], outcome: 'no-offer' };
+    const quietSteps = RoundReplay.steps(quietEntry);
+    assert.equal(quietSteps.length, 3);
+    assert.match(quietSteps[1].message, /didn't offer a switch/);
+    assert.equal(quietSteps[2].round.won, false);
+});
+
+test('an impossible logged round is rejected', () => {
+    const entry = {
+        numDoors: 3, numCars: 1, doorsToOpen: 1, host: 'classic',
+        carDoors: [1], selectedDoor: 0, revealedDoors: [2],
+        decision: 'switch', finalDoor: 2, outcome: 'loss'
+    };
+    assert.throws(() => RoundReplay.steps(entry), RangeError);
+});
@@ -0,0 +1,98 @@
+/**
+ * Monty Hall Bulk Simulation Worker
+ * Plays large numbers of games off the main thread and streams progress back:
+ * bulk simulations of one strategy, and strategy tournaments.
+ *
+ * Messages in:  { type: 'start', config, strategy, count, seed, gameNumber }
+ *               { type: 'tournament', config, strategies, count, seed }
+ *               { type: 'cancel' }
+ * Messages out: { type: 'progress', games, offered, wins }
+ *               { type: 'done', games, offered, wins, cancelled }
+ *               for tournaments, { type: 'progress', games }
+ *               and { type: 'done', games, results, cancelled }
+ */
+
+importScripts('engine.js', 'strategies.js');
+
+// Games to play between progress reports (and chances to notice a cancel)
+const CHUNK_SIZE = 20000;
+
+let cancelled = false;
+
+self.onmessage = function(event) {
+    const message = event.data;
+    if (message.type === 'start') {
+        cancelled = false;
+        run(message);
+    } else if (message.type === 'tournament') {
+        cancelled = false;
+        runTournament(message);
+    } else if (message.type === 'cancel') {
+        cancelled = true;
+    }
+};
+
+/**
+ * Play the requested games in chunks, yielding between chunks so a cancel
+ * message can be received
+ */
+function run({ config, strategy, count, seed, gameNumber }) {
+    // The whole run is one game number in the seeded sequence, so it replays exactly
+    const rng = MontyEngine.roundRng(seed, gameNumber);
+    const totals = { games: 0, offered: 0, wins: 0 };
+
+    playInChunks(count, CHUNK_SIZE, (fromGame, games) => {
+        const chunk = MontyEngine.simulate(config, strategy, games, rng);
+        totals.games += chunk.games;
+        totals.offered += chunk.offered;
+        totals.wins += chunk.wins;
+    }, (type, played, stopped) => {
+        self.postMessage(type === 'done' ? { type, ...totals, cancelled: stopped } : { type, ...totals });
+    });
+}
+
+/**
+ * Play a tournament in chunks. Each strategy plays every game, so chunks are
+ * smaller the more strategies there are.
+ */
+function runTournament({ config, strategies, count, seed }) {
+    const results = MontyStrategies.tournamentResults(strategies);
+    const chunkSize = Math.max(1, Math.floor(CHUNK_SIZE / strategies.length));
+
+    playInChunks(count, chunkSize, (fromGame, games) => {
+        MontyStrategies.playTournament(results, config, seed, fromGame, fromGame + games);
+    }, (type, played, stopped) => {
+        self.postMessage(type === 'done' ? { type, games: played, results, cancelled: stopped } : { type, games: played });
+    });
+}
+
+/**
+ * Call play(fromGame, games) for chunks of up to size games until count have
+ * been played or a cancel arrives, yielding between chunks. Calls
+ * report(type, played, cancelled) with 'progress' after each chunk but the
+ * last, then once with 'done'.
+ */
+function playInChunks(count, size, play, report) {
+    let played = 0;
+
+    function playChunk() {
+        if (cancelled) {
+            report('done', played, true);
+            return;
+        }
+
+        const games = Math.min(size, count - played);
+        play(played, games);
+        played += games;
+
+        if (played >= count) {
+            report('done', played, false);
+            return;
+        }
+
+        report('progress', played, false);
+        setTimeout(playChunk, 0);
+    }
+
+    playChunk();
+}
@@ -0,0 +1,476 @@
+/**
+ * Monty Hall Statistics Store
+ * Keeps results per game configuration plus a log of individual rounds, and
+ * converts them to and from CSV/JSON. Storage is passed in (localStorage in
+ * the browser) so everything here also runs under Node.
+ */
+
+// Loaded after engine.js in the browser; required directly under Node
+const StatsEngine = typeof MontyEngine !== 'undefined' ? MontyEngine : require('./engine.js');
+
+const MontyStats = {
+    STORAGE_KEY: 'montyHall_stats',
+    VERSION: 2,
+    MAX_ROUNDS: 5000, // Oldest rounds are dropped beyond this to stay within localStorage limits
+
+    // Flat keys written by the first version of the tool, before results were split by configuration
+    LEGACY_KEYS: {
+        stayWins: 'montyHall_stayWins',
+        switchWins: 'montyHall_switchWins',
+        stayGames: 'montyHall_stayGames',
+        switchGames: 'montyHall_switchGames',
+        totalGames: 'montyHall_totalGames'
+    },
+
+    CSV_COLUMNS: [
+        'time', 'doors', 'cars', 'doors_opened', 'host', 'seed', 'game', 'source',
+        'car_doors', 'selected_door', 'revealed_doors', 'decision', 'final_door', 'outcome', 'player'
+    ],
+    OPTIONAL_CSV_COLUMNS: ['player'], // Added later, so older exports may not have them
+    OUTCOMES: ['win', 'loss', 'no-offer', 'void'],
+    TOTALS_FIELDS: ['stayWins', 'stayGames', 'switchWins', 'switchGames', 'totalGames', 'noChoiceGames'],
+
+    /**
+     * A store with no results
+     */
+    empty() {
+        return { version: this.VERSION, configs: {}, rounds: [] };
+    },
+
+    /**
+     * Zeroed totals for one configuration
+     */
+    emptyTotals(config) {
+        return {
+            config: this.configOf(config),
+            stayWins: 0,
+            stayGames: 0,
+            switchWins: 0,
+            switchGames: 0,
+            totalGames: 0,
+            noChoiceGames: 0
+        };
+    },
+
+    /**
+     * The settings that define a configuration, taken from a config or round
+     */
+    configOf({ numDoors, numCars, doorsToOpen, host }) {
+        return { numDoors, numCars, doorsToOpen, host };
+    },
+
+    /**
+     * Stable key for a configuration
+     */
+    configKey(config) {
+        const { numDoors, numCars, doorsToOpen, host } = this.configOf(config);
+        return `${numDoors}-${numCars}-${doorsToOpen}-${host}`;
+    },
+
+    /**
+     * Read the store, falling back to an empty one if missing or unreadable.
+     * The sibling puzzles keep their own results under a different key.
+     */
+    load(storage, key = this.STORAGE_KEY) {
+        try {
+            const data = JSON.parse(storage.getItem(key));
+            if (data && data.version === this.VERSION) return data;
+        } catch (error) {
+            console.error('Error reading saved Monty Hall results:', error);
+        }
+        return this.empty();
+    },
+
+    /**
+     * Write the store
+     */
+    save(storage, data, key = this.STORAGE_KEY) {
+        storage.setItem(key, JSON.stringify(data));
+    },
+
+    /**
+     * Totals for a configuration (zeroes if nothing has been played yet)
+     */
+    totalsFor(data, config) {
+        return data.configs[this.configKey(config)] || this.emptyTotals(config);
+    },
+
+    /**
+     * Add a batch of games played with one strategy. Games where no switch was
+     * offered count towards the total only.
+     */
+    addResults(data, config, strategy, { games, offered, wins }) {
+        const key = this.configKey(config);
+        const totals = data.configs[key] || this.emptyTotals(config);
+        data.configs[key] = totals;
+
+        totals.totalGames += games;
+        totals.noChoiceGames += games - offered;
+        if (strategy === 'stay') {
+            totals.stayGames += offered;
+            totals.stayWins += wins;
+        } else if (strategy === 'switch') {
+            totals.switchGames += offered;
+            totals.switchWins += wins;
+        }
+    },
+
+    /**
+     * Append a finished round to the log
+     */
+    logRound(data, round, { seed = null, game = null, source = 'play', player = null, time = new Date().toISOString() } = {}) {
+        data.rounds.push({
+            time,
+            ...this.configOf(round),
+            seed,
+            game,
+            source,
+            carDoors: [...round.carDoors],
+            selectedDoor: round.selectedDoor,
+            revealedDoors: [...round.revealedDoors],
+            decision: round.decision,
+            finalDoor: round.finalDoor,
+            outcome: this.outcomeOf(round),
+            player
+        });
+
+        if (data.rounds.length > this.MAX_ROUNDS) {
+            data.rounds.splice(0, data.rounds.length - this.MAX_ROUNDS);
+        }
+    },
+
+    /**
+     * 'win', 'loss', 'no-offer' or 'void' for a finished round
+     */
+    outcomeOf(round) {
+        if (round.carRevealed) return 'void';
+        if (!round.offered) return 'no-offer';
+        return round.won ? 'win' : 'loss';
+    },
+
+    /**
+     * Totals saved under the legacy flat keys, or null if there are none
+     */
+    readLegacy(storage) {
+        if (storage.getItem(this.LEGACY_KEYS.totalGames) === null) return null;
+
+        const totals = {};
+        Object.entries(this.LEGACY_KEYS).forEach(([field, key]) => {
+            totals[field] = parseInt(storage.getItem(key) || '0', 10) || 0;
+        });
+        return totals;
+    },
+
+    /**
+     * Remove the legacy flat keys
+     */
+    clearLegacy(storage) {
+        Object.values(this.LEGACY_KEYS).forEach(key => storage.removeItem(key));
+    },
+
+    /**
+     * Move legacy totals into the given configuration. The old keys never
+     * recorded which settings were used, so the caller has to choose.
+     */
+    migrateLegacy(data, storage, config) {
+        const legacy = this.readLegacy(storage);
+        if (!legacy) return false;
+
+        // The flat keys had no no-choice count; it's whatever the total has beyond the two strategies
+        const offeredGames = legacy.stayGames + legacy.switchGames;
+        const totalGames = Math.max(legacy.totalGames, offeredGames);
+        this.addResults(data, config, 'stay', { games: legacy.stayGames, offered: legacy.stayGames, wins: legacy.stayWins });
+        this.addResults(data, config, 'switch', { games: legacy.switchGames, offered: legacy.switchGames, wins: legacy.switchWins });
+        this.addResults(data, config, null, { games: totalGames - offeredGames, offered: 0, wins: 0 });
+
+        this.clearLegacy(storage);
+        return true;
+    },
+
+    /**
+     * Export the whole store as JSON
+     */
+    toJSON(data) {
+        return JSON.stringify(data, null, 2);
+    },
+
+    /**
+     * Export the round log as CSV. Door numbers are 1-based, as shown on the doors.
+     */
+    toCSV(data) {
+        const doorList = doors => doors.map(door => door + 1).join(' ');
+        const lines = [this.CSV_COLUMNS.join(',')];
+
+        data.rounds.forEach(round => {
+            lines.push([
+                round.time,
+                round.numDoors,
+                round.numCars,
+                round.doorsToOpen,
+                round.host,
+                round.seed === null ? '' : round.seed,
+                round.game === null ? '' : round.game,
+                round.source,
+                doorList(round.carDoors),
+                round.selectedDoor + 1,
+                doorList(round.revealedDoors),
+                round.decision || '',
+                round.finalDoor + 1,
+                round.outcome,
+                this.quoteCSV(round.player || '')
+            ].join(','));
+        });
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Quote a CSV field if it contains a comma, quote or line break
+     */
+    quoteCSV(value) {
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    },
+
+    /**
+     * Split CSV text into records of fields. Quoted fields may hold commas,
+     * doubled quotes and line breaks, so records are found while scanning
+     * rather than by splitting on newlines. Blank lines are skipped.
+     */
+    splitCSVRecords(text) {
+        const records = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        const endRecord = () => {
+            fields.push(field);
+            if (fields.length > 1 || fields[0].trim() !== '') records.push(fields);
+            fields = [];
+            field = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                endRecord();
+            } else {
+                field += char;
+            }
+        }
+
+        if (quoted) {
+            throw new Error(`Row ${records.length + 1} has a quoted field that is never closed.`);
+        }
+        endRecord();
+        return records;
+    },
+
+    /**
+     * Parse an exported file, detecting JSON or CSV. Throws with a readable
+     * message if the file isn't a valid export.
+     */
+    parseImport(text) {
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        if (trimmed.startsWith('{')) {
+            return this.fromJSON(trimmed);
+        }
+        return this.fromCSV(trimmed);
+    },
+
+    /**
+     * Throw if a configuration isn't one the engine can play. label names
+     * the row or entry at fault in the message.
+     */
+    checkConfig(config, label) {
+        const { numDoors, numCars, doorsToOpen, host } = this.configOf(config);
+        try {
+            if ([numDoors, numCars, doorsToOpen, host].includes(undefined)) {
+                throw new Error('some are missing');
+            }
+            StatsEngine.normalizeConfig({ numDoors, numCars, doorsToOpen, host });
+        } catch (error) {
+            throw new Error(`${label} has invalid settings: ${error.message}.`);
+        }
+    },
+
+    /**
+     * Throw if a logged round isn't one the engine could have played: its
+     * settings, doors, decision and outcome are all checked
+     */
+    checkRound(round, label) {
+        if (!round || typeof round !== 'object') {
+            throw new Error(`${label} is not a round.`);
+        }
+        this.checkConfig(round, label);
+
+        const { numDoors, numCars } = round;
+        const checkDoor = (door, name) => {
+            if (!Number.isInteger(door) || door < 0 || door >= numDoors) {
+                throw new Error(`${label} has a ${name} outside doors 1 to ${numDoors}.`);
+            }
+        };
+        if (!Array.isArray(round.carDoors) || round.carDoors.length !== numCars) {
+            throw new Error(`${label} should have ${numCars} car door${numCars === 1 ? '' : 's'}.`);
+        }
+        if (!Array.isArray(round.revealedDoors)) {
+            throw new Error(`${label} has no list of revealed doors.`);
+        }
+        round.carDoors.forEach(door => checkDoor(door, 'car door'));
+        checkDoor(round.selectedDoor, 'selected door');
+        round.revealedDoors.forEach(door => checkDoor(door, 'revealed door'));
+        checkDoor(round.finalDoor, 'final door');
+
+        if (!this.OUTCOMES.includes(round.outcome)) {
+            throw new Error(`${label} has an unknown outcome: "${round.outcome}".`);
+        }
+        if (round.decision !== null && round.decision !== 'stay' && round.decision !== 'switch') {
+            throw new Error(`${label} has an unknown decision: "${round.decision}".`);
+        }
+        ['seed', 'game'].forEach(name => {
+            if (round[name] !== null && !(Number.isInteger(round[name]) && round[name] >= 0)) {
+                throw new Error(`${label} has an invalid ${name}: "${round[name]}".`);
+            }
+        });
+        if (typeof round.time !== 'string' || typeof round.source !== 'string' || (round.player !== null && typeof round.player !== 'string')) {
+            throw new Error(`${label} has an invalid time, source or player.`);
+        }
+    },
+
+    /**
+     * Drop the oldest imported rounds beyond the cap, as logRound does
+     */
+    capRounds(data) {
+        if (data.rounds.length > this.MAX_ROUNDS) {
+            data.rounds.splice(0, data.rounds.length - this.MAX_ROUNDS);
+        }
+        return data;
+    },
+
+    /**
+     * Read a JSON export. Every round and every configuration's totals are
+     * checked, as the totals include bulk simulations the rounds don't.
+     */
+    fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+        if (!data || data.version !== this.VERSION || !data.configs || typeof data.configs !== 'object'
+            || Array.isArray(data.configs) || !Array.isArray(data.rounds)) {
+            throw new Error('The JSON file is not a Monty Hall results export.');
+        }
+
+        data.rounds.forEach((round, i) => this.checkRound(round, `Round ${i + 1}`));
+        Object.entries(data.configs).forEach(([key, totals]) => {
+            const label = `The totals for ${key}`;
+            if (!totals || typeof totals !== 'object') {
+                throw new Error(`${label} are not totals.`);
+            }
+            this.checkConfig(totals.config || {}, label);
+            if (this.configKey(totals.config) !== key) {
+                throw new Error(`${label} are for a different configuration.`);
+            }
+            const counts = this.TOTALS_FIELDS.filter(field => !(Number.isInteger(totals[field]) && totals[field] >= 0));
+            if (counts.length > 0) {
+                throw new Error(`${label} have invalid counts: ${counts.join(', ')}.`);
+            }
+            if (totals.stayWins > totals.stayGames || totals.switchWins > totals.switchGames) {
+                throw new Error(`${label} have more wins than games.`);
+            }
+        });
+        return this.capRounds(data);
+    },
+
+    /**
+     * Read a CSV export. Totals are rebuilt from the rounds, so bulk
+     * simulations (which are not logged round by round) are not included.
+     * Only the newest MAX_ROUNDS rounds are kept, but all count towards the totals.
+     */
+    fromCSV(text) {
+        const records = this.splitCSVRecords(text);
+        if (records.length === 0) {
+            throw new Error('The file is empty.');
+        }
+
+        const header = records[0].map(name => name.trim());
+        const missing = this.CSV_COLUMNS.filter(column => !header.includes(column) && !this.OPTIONAL_CSV_COLUMNS.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`The CSV file is missing columns: ${missing.join(', ')}.`);
+        }
+
+        const data = this.empty();
+        records.slice(1).forEach((values, i) => {
+            if (values.length !== header.length) {
+                throw new Error(`Row ${i + 2} has ${values.length} fields, expected ${header.length}.`);
+            }
+
+            const field = name => (header.includes(name) ? values[header.indexOf(name)].trim() : '');
+            const integer = (name, required = true) => {
+                const value = field(name);
+                if (value === '' && !required) return null;
+                if (!/^\d+$/.test(value)) {
+                    throw new Error(`Row ${i + 2} has an invalid ${name}: "${value}".`);
+                }
+                return parseInt(value, 10);
+            };
+            const doorList = name => (field(name) === '' ? [] : field(name).split(' ').map(door => {
+                if (!/^\d+$/.test(door)) {
+                    throw new Error(`Row ${i + 2} has an invalid ${name}: "${field(name)}".`);
+                }
+                return parseInt(door, 10) - 1;
+            }));
+
+            const outcome = field('outcome');
+            const decision = field('decision') || null;
+            const round = {
+                time: field('time'),
+                numDoors: integer('doors'),
+                numCars: integer('cars'),
+                doorsToOpen: integer('doors_opened'),
+                host: field('host'),
+                seed: integer('seed', false),
+                game: integer('game', false),
+                source: field('source'),
+                carDoors: doorList('car_doors'),
+                selectedDoor: integer('selected_door') - 1,
+                revealedDoors: doorList('revealed_doors'),
+                decision,
+                finalDoor: integer('final_door') - 1,
+                outcome,
+                player: field('player') || null
+            };
+            this.checkRound(round, `Row ${i + 2}`);
+
+            data.rounds.push(round);
+            const offered = outcome === 'win' || outcome === 'loss';
+            this.addResults(data, round, decision, {
+                games: 1,
+                offered: offered ? 1 : 0,
+                wins: outcome === 'win' ? 1 : 0
+            });
+        });
+
+        return this.capRounds(data);
+    }
+};
+
+// Allow the store to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MontyStats;
+}
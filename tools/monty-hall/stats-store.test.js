@@ -0,0 +1,294 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MontyEngine = require('./engine.js');
+const MontyStats = require('./stats-store.js');
+
+const CLASSIC = { numDoors: 3, numCars: 1, doorsToOpen: 1, host: 'classic' };
+const FIVE_DOORS = { numDoors: 5, numCars: 1, doorsToOpen: 3, host: 'classic' };
+
+/**
+ * Minimal stand-in for localStorage
+ */
+function memoryStorage(items = {}) {
+    const store = new Map(Object.entries(items).map(([key, value]) => [key, String(value)]));
+    return {
+        getItem: key => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key),
+        keys: () => [...store.keys()]
+    };
+}
+
+/**
+ * A finished round played with a fixed seed
+ */
+function playedRound(config, strategy, seed) {
+    return MontyEngine.playRound(config, strategy, MontyEngine.createRng(seed));
+}
+
+test('results are kept separately for each configuration', () => {
+    const data = MontyStats.empty();
+    MontyStats.addResults(data, CLASSIC, 'switch', { games: 10, offered: 10, wins: 7 });
+    MontyStats.addResults(data, FIVE_DOORS, 'stay', { games: 4, offered: 4, wins: 1 });
+    MontyStats.addResults(data, { ...CLASSIC, host: 'hell' }, 'stay', { games: 6, offered: 3, wins: 3 });
+
+    const classic = MontyStats.totalsFor(data, CLASSIC);
+    assert.equal(classic.switchGames, 10);
+    assert.equal(classic.switchWins, 7);
+    assert.equal(classic.stayGames, 0);
+
+    const fiveDoors = MontyStats.totalsFor(data, FIVE_DOORS);
+    assert.equal(fiveDoors.stayGames, 4);
+    assert.equal(fiveDoors.switchGames, 0);
+
+    const hell = MontyStats.totalsFor(data, { ...CLASSIC, host: 'hell' });
+    assert.equal(hell.totalGames, 6);
+    assert.equal(hell.noChoiceGames, 3);
+    assert.equal(hell.stayGames, 3);
+});
+
+test('an unplayed configuration has zero totals', () => {
+    const totals = MontyStats.totalsFor(MontyStats.empty(), FIVE_DOORS);
+    assert.deepEqual(totals, MontyStats.emptyTotals(FIVE_DOORS));
+    assert.deepEqual(totals.config, FIVE_DOORS);
+});
+
+test('round config is picked up from the round itself', () => {
+    const round = playedRound(FIVE_DOORS, 'switch', 1);
+    assert.equal(MontyStats.configKey(round), MontyStats.configKey(FIVE_DOORS));
+});
+
+test('save and load round-trip through storage', () => {
+    const storage = memoryStorage();
+    const data = MontyStats.empty();
+    MontyStats.addResults(data, CLASSIC, 'stay', { games: 3, offered: 3, wins: 1 });
+    MontyStats.logRound(data, playedRound(CLASSIC, 'stay', 2), { seed: 2, game: 0 });
+    MontyStats.save(storage, data);
+
+    assert.deepEqual(MontyStats.load(storage), data);
+});
+
+test('another puzzle can keep its results under its own key', () => {
+    const storage = memoryStorage();
+    const data = MontyStats.empty();
+    MontyStats.addResults(data, CLASSIC, 'switch', { games: 2, offered: 2, wins: 1 });
+    MontyStats.save(storage, data, 'threePrisoners_stats');
+
+    assert.deepEqual(storage.keys(), ['threePrisoners_stats']);
+    assert.deepEqual(MontyStats.load(storage, 'threePrisoners_stats'), data);
+    assert.deepEqual(MontyStats.load(storage), MontyStats.empty());
+});
+
+test('load falls back to an empty store for missing or corrupt data', () => {
+    assert.deepEqual(MontyStats.load(memoryStorage()), MontyStats.empty());
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.deepEqual(MontyStats.load(memoryStorage({ [MontyStats.STORAGE_KEY]: '{oops' })), MontyStats.empty());
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('logged rounds record every step and outcome', () => {
+    const data = MontyStats.empty();
+    const round = playedRound(FIVE_DOORS, 'switch', 3);
+    MontyStats.logRound(data, round, { seed: 3, game: 4, source: 'simulation', time: 'T' });
+
+    const [entry] = data.rounds;
+    assert.deepEqual(entry.carDoors, round.carDoors);
+    assert.equal(entry.selectedDoor, round.selectedDoor);
+    assert.deepEqual(entry.revealedDoors, round.revealedDoors);
+    assert.equal(entry.revealedDoors.length, 3);
+    assert.equal(entry.decision, 'switch');
+    assert.equal(entry.finalDoor, round.finalDoor);
+    assert.equal(entry.outcome, round.won ? 'win' : 'loss');
+    assert.equal(entry.seed, 3);
+    assert.equal(entry.game, 4);
+    assert.equal(entry.source, 'simulation');
+});
+
+test('rounds without a real choice are logged as void or no-offer', () => {
+    assert.equal(MontyStats.outcomeOf({ carRevealed: true, offered: false, won: null }), 'void');
+    assert.equal(MontyStats.outcomeOf({ carRevealed: false, offered: false, won: false }), 'no-offer');
+});
+
+test('the round log is capped', () => {
+    const data = MontyStats.empty();
+    const round = playedRound(CLASSIC, 'stay', 4);
+    for (let game = 0; game < MontyStats.MAX_ROUNDS + 5; game++) {
+        MontyStats.logRound(data, round, { game });
+    }
+    assert.equal(data.rounds.length, MontyStats.MAX_ROUNDS);
+    assert.equal(data.rounds[0].game, 5);
+});
+
+test('legacy flat keys are detected and migrated into a chosen configuration', () => {
+    const storage = memoryStorage({
+        montyHall_stayWins: 3,
+        montyHall_switchWins: 14,
+        montyHall_stayGames: 10,
+        montyHall_switchGames: 20,
+        montyHall_totalGames: 32
+    });
+    assert.equal(MontyStats.readLegacy(storage).totalGames, 32);
+
+    const data = MontyStats.empty();
+    assert.equal(MontyStats.migrateLegacy(data, storage, FIVE_DOORS), true);
+
+    const totals = MontyStats.totalsFor(data, FIVE_DOORS);
+    assert.equal(totals.stayWins, 3);
+    assert.equal(totals.stayGames, 10);
+    assert.equal(totals.switchWins, 14);
+    assert.equal(totals.switchGames, 20);
+    assert.equal(totals.totalGames, 32);
+    assert.equal(totals.noChoiceGames, 2);
+
+    assert.deepEqual(storage.keys(), []);
+    assert.equal(MontyStats.readLegacy(storage), null);
+    assert.equal(MontyStats.migrateLegacy(data, storage, FIVE_DOORS), false);
+});
+
+test('legacy saves where every game was a stay or switch have no no-choice games', () => {
+    const storage = memoryStorage({
+        montyHall_stayWins: 1,
+        montyHall_switchWins: 2,
+        montyHall_stayGames: 3,
+        montyHall_switchGames: 3,
+        montyHall_totalGames: 6
+    });
+    const data = MontyStats.empty();
+    MontyStats.migrateLegacy(data, storage, CLASSIC);
+
+    const totals = MontyStats.totalsFor(data, CLASSIC);
+    assert.equal(totals.totalGames, 6);
+    assert.equal(totals.noChoiceGames, 0);
+});
+
+test('JSON export round-trips', () => {
+    const data = MontyStats.empty();
+    MontyStats.addResults(data, CLASSIC, 'switch', { games: 1000, offered: 1000, wins: 667 });
+    MontyStats.logRound(data, playedRound(CLASSIC, 'switch', 5), { seed: 5, game: 0 });
+
+    assert.deepEqual(MontyStats.parseImport(MontyStats.toJSON(data)), data);
+});
+
+test('CSV export uses 1-based door numbers and imports back to the same log and totals', () => {
+    const data = MontyStats.empty();
+    const configs = [CLASSIC, FIVE_DOORS, { numDoors: 6, numCars: 2, doorsToOpen: 2, host: 'fall' }, { ...CLASSIC, host: 'hell' }];
+    configs.forEach((config, c) => {
+        ['stay', 'switch'].forEach((strategy, s) => {
+            for (let game = 0; game < 20; game++) {
+                const round = playedRound(config, strategy, c * 1000 + s * 100 + game);
+                const offered = round.offered ? 1 : 0;
+                MontyStats.addResults(data, round, round.decision, { games: 1, offered, wins: offered && round.won ? 1 : 0 });
+                MontyStats.logRound(data, round, { seed: 9, game, time: '2025-01-01T00:00:00.000Z' });
+            }
+        });
+    });
+
+    const csv = MontyStats.toCSV(data);
+    const [header, first] = csv.split('\n');
+    assert.equal(header, MontyStats.CSV_COLUMNS.join(','));
+    const firstRound = data.rounds[0];
+    assert.equal(first.split(',')[9], String(firstRound.selectedDoor + 1));
+
+    assert.deepEqual(MontyStats.parseImport(csv), data);
+});
+
+test('imports handle a byte order mark and Windows line endings', () => {
+    const data = MontyStats.empty();
+    MontyStats.logRound(data, playedRound(CLASSIC, 'stay', 6), { time: 'T' });
+    const csv = '\uFEFF' + MontyStats.toCSV(data).replace(/\n/g, '\r\n');
+
+    assert.deepEqual(MontyStats.parseImport(csv).rounds, data.rounds);
+});
+
+test('malformed imports are rejected with a readable message', () => {
+    assert.throws(() => MontyStats.parseImport('{"version": 1}'), /not a Monty Hall results export/);
+    assert.throws(() => MontyStats.parseImport('{nope'), /not valid JSON/);
+    assert.throws(() => MontyStats.parseImport(''), /empty/);
+    assert.throws(() => MontyStats.parseImport('time,doors\n1,3'), /missing columns/);
+
+    const header = MontyStats.CSV_COLUMNS.join(',');
+    const row = 'T,3,1,1,classic,,,play,2,1,3,stay,1,loss,';
+    assert.equal(MontyStats.parseImport(`${header}\n${row}`).rounds.length, 1);
+    assert.throws(() => MontyStats.parseImport(`${header}\n${row},extra`), /Row 2 has 16 fields/);
+    assert.throws(() => MontyStats.parseImport(`${header}\n${row.replace(',3,1,1,', ',x,1,1,')}`), /invalid doors/);
+    assert.throws(() => MontyStats.parseImport(`${header}\n${row.replace('loss', 'draw')}`), /unknown outcome/);
+    assert.throws(() => MontyStats.parseImport(`${header}\n${row.replace('stay', 'dance')}`), /unknown decision/);
+});
+
+test('imported rounds must be ones the engine could have played', () => {
+    const header = MontyStats.CSV_COLUMNS.join(',');
+    const row = 'T,3,1,1,classic,,,play,2,1,3,stay,1,loss,';
+    const csv = changed => `${header}\n${changed}`;
+    assert.throws(() => MontyStats.parseImport(csv(row.replace('classic', 'nope'))), /Row 2 has invalid settings: Unknown host: nope/);
+    assert.throws(() => MontyStats.parseImport(csv(row.replace(',3,1,1,', ',17,1,1,'))), /Row 2 has invalid settings: Number of doors/);
+    assert.throws(() => MontyStats.parseImport(csv(row.replace(',3,1,1,', ',3,2,1,'))), /Number of cars/);
+    assert.throws(() => MontyStats.parseImport(csv(row.replace(',3,1,1,', ',3,1,2,'))), /must open between 1 and 1 doors/);
+    assert.throws(() => MontyStats.parseImport(csv(row.replace(',play,2,1,', ',play,2,0,'))), /Row 2 has a selected door outside doors 1 to 3/);
+    assert.throws(() => MontyStats.parseImport(csv(row.replace(',play,2,', ',play,4,'))), /car door outside/);
+    assert.throws(() => MontyStats.parseImport(csv(row.replace(',play,2,', ',play,2 3,'))), /should have 1 car door/);
+    assert.throws(() => MontyStats.parseImport(csv(row.replace(',1,3,stay,', ',1,0,stay,'))), /revealed door outside/);
+    assert.throws(() => MontyStats.parseImport(csv(row.replace('stay,1,', 'stay,9,'))), /final door outside/);
+
+    // JSON rounds are held to the same rules, and totals must be counts for the configuration they're filed under
+    const data = MontyStats.empty();
+    MontyStats.addResults(data, CLASSIC, 'switch', { games: 10, offered: 10, wins: 7 });
+    MontyStats.logRound(data, playedRound(CLASSIC, 'switch', 5), { seed: 5, game: 0 });
+    const json = change => {
+        const copy = JSON.parse(MontyStats.toJSON(data));
+        change(copy);
+        return JSON.stringify(copy);
+    };
+    const key = MontyStats.configKey(CLASSIC);
+    assert.throws(() => MontyStats.parseImport(json(copy => { copy.rounds[0].selectedDoor = -1; })), /Round 1 has a selected door outside/);
+    assert.throws(() => MontyStats.parseImport(json(copy => { copy.rounds[0].host = 'nope'; })), /Round 1 has invalid settings/);
+    assert.throws(() => MontyStats.parseImport(json(copy => { copy.rounds[0].outcome = 'draw'; })), /unknown outcome/);
+    assert.throws(() => MontyStats.parseImport(json(copy => { copy.rounds.push(null); })), /Round 2 is not a round/);
+    assert.throws(() => MontyStats.parseImport(json(copy => { copy.configs[key].switchWins = 'many'; })), /invalid counts: switchWins/);
+    assert.throws(() => MontyStats.parseImport(json(copy => { copy.configs[key].switchWins = 11; })), /more wins than games/);
+    assert.throws(() => MontyStats.parseImport(json(copy => { copy.configs['5-1-3-classic'] = copy.configs[key]; })), /for a different configuration/);
+    assert.throws(() => MontyStats.parseImport(json(copy => { copy.configs = []; })), /not a Monty Hall results export/);
+});
+
+test('imports keep only the newest rounds, like the log', () => {
+    // logRound caps the log itself, so an over-long export is built by hand
+    const data = MontyStats.empty();
+    MontyStats.logRound(data, playedRound(CLASSIC, 'stay', 3), { seed: 1, game: 0, time: 'T' });
+    for (let game = 1; game < MontyStats.MAX_ROUNDS + 5; game++) {
+        data.rounds.push({ ...data.rounds[0], game });
+    }
+
+    const fromCSV = MontyStats.parseImport(MontyStats.toCSV(data));
+    assert.equal(fromCSV.rounds.length, MontyStats.MAX_ROUNDS);
+    assert.equal(fromCSV.rounds[0].game, 5);
+    // Dropped rounds still count towards the totals
+    assert.equal(MontyStats.totalsFor(fromCSV, CLASSIC).totalGames, MontyStats.MAX_ROUNDS + 5);
+
+    assert.equal(MontyStats.parseImport(MontyStats.toJSON(data)).rounds.length, MontyStats.MAX_ROUNDS);
+});
+
+test('player names are tagged on rounds and survive CSV quoting', () => {
+    const data = MontyStats.empty();
+    MontyStats.logRound(data, playedRound(CLASSIC, 'switch', 7), { player: 'Smith, "Jo"', time: 'T' });
+    MontyStats.logRound(data, playedRound(CLASSIC, 'stay', 8), { player: 'Row\nTwo', time: 'T' });
+    MontyStats.logRound(data, playedRound(CLASSIC, 'stay', 9), { time: 'T' });
+
+    const csv = MontyStats.toCSV(data);
+    assert.match(csv, /,"Smith, ""Jo"""\n/);
+    assert.match(csv, /,"Row\nTwo"\n/);
+    assert.deepEqual(MontyStats.parseImport(csv).rounds, data.rounds);
+
+    const header = MontyStats.CSV_COLUMNS.join(',');
+    assert.throws(() => MontyStats.parseImport(`${header}\nT,3,1,1,classic,,,play,2,1,3,stay,1,loss,"Jo`), /Row 2 has a quoted field that is never closed/);
+});
+
+test('CSV exports from before players were tagged still import', () => {
+    const header = MontyStats.CSV_COLUMNS.filter(column => column !== 'player').join(',');
+    const data = MontyStats.parseImport(`${header}\nT,3,1,1,classic,,,play,2,1,3,switch,2,win`);
+    assert.equal(data.rounds[0].player, null);
+    assert.equal(MontyStats.totalsFor(data, CLASSIC).switchWins, 1);
+});
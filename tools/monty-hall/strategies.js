@@ -0,0 +1,196 @@
+/**
+ * Monty Hall Strategies
+ * Player-defined strategies beyond always staying or always switching, and a
+ * tournament that plays every strategy on exactly the same seeded games.
+ * A strategy is a plain object, e.g. { type: 'random', probability: 0.3 }
+ * or { type: 'host-opened', door: 2 } (doors are 0-based, as in the engine).
+ */
+
+// Loaded after engine.js in the browser; required directly under Node
+const StrategyEngine = typeof MontyEngine !== 'undefined' ? MontyEngine : require('./engine.js');
+
+const MontyStrategies = {
+    TYPES: {
+        stay: { name: 'Always stay', param: null },
+        switch: { name: 'Always switch', param: null },
+        random: { name: 'Switch with probability p', param: 'probability' },
+        'host-opened': { name: 'Switch only if the host opened door X', param: 'door' },
+        'host-skipped': { name: 'Switch only if the host left door X closed', param: 'door' }
+    },
+
+    STORAGE_KEY: 'montyHall_strategies',
+    MAX_NAME_LENGTH: 40,
+
+    /**
+     * Check a strategy and return a clean copy. Throws with a readable message
+     * if it's not valid.
+     */
+    normalize(strategy) {
+        const type = this.TYPES[strategy.type];
+        if (!type) {
+            throw new Error(`Unknown strategy type: ${strategy.type}`);
+        }
+
+        const normalized = { type: strategy.type };
+        if (type.param === 'probability') {
+            const probability = Number(strategy.probability);
+            if (!(probability >= 0 && probability <= 1)) {
+                throw new RangeError('Switch probability must be between 0% and 100%');
+            }
+            normalized.probability = probability;
+        } else if (type.param === 'door') {
+            const door = Number(strategy.door);
+            if (!Number.isInteger(door) || door < 0 || door >= StrategyEngine.MAX_DOORS) {
+                throw new RangeError(`Door must be a whole number from 1 to ${StrategyEngine.MAX_DOORS}`);
+            }
+            normalized.door = door;
+        }
+
+        const name = (strategy.name || '').trim().slice(0, this.MAX_NAME_LENGTH);
+        if (name) normalized.name = name;
+        return normalized;
+    },
+
+    /**
+     * Label for a strategy: its given name, or a description of what it does
+     */
+    describe(strategy) {
+        if (strategy.name) return strategy.name;
+        switch (strategy.type) {
+            case 'random':
+                return `Switch ${Math.round(strategy.probability * 100)}% of the time`;
+            case 'host-opened':
+                return `Switch if the host opened door ${strategy.door + 1}`;
+            case 'host-skipped':
+                return `Switch if the host left door ${strategy.door + 1} closed`;
+            default:
+                return this.TYPES[strategy.type].name;
+        }
+    },
+
+    /**
+     * 'stay' or 'switch' for a round where the host has offered a switch
+     */
+    decide(strategy, round, rng) {
+        switch (strategy.type) {
+            case 'stay':
+                return 'stay';
+            case 'switch':
+                return 'switch';
+            case 'random':
+                return rng() < strategy.probability ? 'switch' : 'stay';
+            case 'host-opened':
+                return round.revealedDoors.includes(strategy.door) ? 'switch' : 'stay';
+            case 'host-skipped':
+                return strategy.door !== round.selectedDoor
+                    && strategy.door < round.numDoors
+                    && !round.revealedDoors.includes(strategy.door) ? 'switch' : 'stay';
+            default:
+                throw new Error(`Unknown strategy type: ${strategy.type}`);
+        }
+    },
+
+    /**
+     * Play count seeded games with every strategy. Each game's cars, pick and
+     * host reveal are the same for all strategies; only the decision (and
+     * which door a switch goes to) differs. Returns one tally per strategy.
+     */
+    tournament(config, strategies, count, seed) {
+        return this.playTournament(this.tournamentResults(strategies), config, seed, 0, count);
+    },
+
+    /**
+     * Empty tallies for a tournament between these strategies
+     */
+    tournamentResults(strategies) {
+        return strategies.map(strategy => ({ strategy, games: 0, offered: 0, wins: 0 }));
+    },
+
+    /**
+     * Add games fromGame up to (not including) toGame of a tournament to its
+     * tallies, so a long tournament can be played a chunk at a time. Returns
+     * the tallies.
+     */
+    playTournament(results, config, seed, fromGame, toGame) {
+        for (let game = fromGame; game < toGame; game++) {
+            const rng = StrategyEngine.roundRng(seed, game);
+            let round = StrategyEngine.newRound(config, rng);
+            round = StrategyEngine.selectDoor(round, StrategyEngine.randomInt(rng, round.numDoors));
+            round = StrategyEngine.hostReveal(round, rng);
+            results.forEach(result => {
+                result.games++;
+            });
+            if (!round.offered) continue;
+
+            // Give each strategy its own random source so none affects another's games
+            const decisionSeed = Math.floor(rng() * 4294967296);
+            const targets = StrategyEngine.switchTargets(round);
+
+            results.forEach((result, i) => {
+                const decisionRng = StrategyEngine.roundRng(decisionSeed, i);
+                const decision = this.decide(result.strategy, round, decisionRng);
+                const target = targets[StrategyEngine.randomInt(decisionRng, targets.length)];
+                const finished = StrategyEngine.resolve(StrategyEngine.decide(round, decision, target));
+                result.offered++;
+                if (finished.won) result.wins++;
+            });
+        }
+
+        return results;
+    },
+
+    /**
+     * Tournament results from best to worst win rate, with a 95% margin of error
+     */
+    rank(results) {
+        return results
+            .map(result => {
+                const winRate = result.offered > 0 ? result.wins / result.offered : 0;
+                const margin = result.offered > 0 ? 1.96 * Math.sqrt(winRate * (1 - winRate) / result.offered) : 0;
+                return { ...result, winRate, margin };
+            })
+            .sort((a, b) => b.winRate - a.winRate);
+    },
+
+    /**
+     * Read saved strategies, falling back to the defaults. A saved strategy
+     * that no longer validates is dropped; the rest are kept.
+     */
+    load(storage) {
+        try {
+            const saved = JSON.parse(storage.getItem(this.STORAGE_KEY));
+            if (Array.isArray(saved)) {
+                return saved.flatMap(strategy => {
+                    try {
+                        return [this.normalize(strategy)];
+                    } catch (error) {
+                        console.error('Dropping a saved strategy that is no longer valid:', error);
+                        return [];
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('Error reading saved strategies:', error);
+        }
+        return this.defaults();
+    },
+
+    /**
+     * Write the strategies
+     */
+    save(storage, strategies) {
+        storage.setItem(this.STORAGE_KEY, JSON.stringify(strategies));
+    },
+
+    /**
+     * The strategies a new visitor starts with
+     */
+    defaults() {
+        return [{ type: 'stay' }, { type: 'switch' }, { type: 'random', probability: 0.5 }];
+    }
+};
+
+// Allow the strategies to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MontyStrategies;
+}
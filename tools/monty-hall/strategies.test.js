@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MontyEngine = require('./engine.js');
+const MontyStrategies = require('./strategies.js');
+
+const GAMES = 20000;
+
+/**
+ * Assert a win rate is within 4 standard errors of the expected rate
+ */
+function assertRate({ wins, offered }, expected, label) {
+    const tolerance = 4 * Math.sqrt(expected * (1 - expected) / offered);
+    assert.ok(Math.abs(wins / offered - expected) <= tolerance,
+        `${label}: got ${(wins / offered).toFixed(4)}, expected ${expected.toFixed(4)}`);
+}
+
+test('strategies are validated and described', () => {
+    assert.deepEqual(MontyStrategies.normalize({ type: 'random', probability: '0.25', extra: 1 }), { type: 'random', probability: 0.25 });
+    assert.deepEqual(MontyStrategies.normalize({ type: 'host-opened', door: 2, name: '  Door three  ' }), { type: 'host-opened', door: 2, name: 'Door three' });
+    assert.throws(() => MontyStrategies.normalize({ type: 'random', probability: 1.5 }), RangeError);
+    assert.throws(() => MontyStrategies.normalize({ type: 'host-opened', door: 1.5 }), RangeError);
+    assert.throws(() => MontyStrategies.normalize({ type: 'dance' }), /Unknown strategy type/);
+
+    assert.equal(MontyStrategies.describe({ type: 'random', probability: 0.3 }), 'Switch 30% of the time');
+    assert.equal(MontyStrategies.describe({ type: 'host-opened', door: 2 }), 'Switch if the host opened door 3');
+    assert.equal(MontyStrategies.describe({ type: 'switch' }), 'Always switch');
+    assert.equal(MontyStrategies.describe({ type: 'stay', name: 'Stubborn' }), 'Stubborn');
+});
+
+test('every strategy plays the same games', () => {
+    const strategies = [{ type: 'stay' }, { type: 'switch' }, { type: 'random', probability: 0 }, { type: 'random', probability: 1 }];
+    const [stay, switchResult, neverSwitch, alwaysSwitch] = MontyStrategies.tournament({ numDoors: 3 }, strategies, 5000, 42);
+
+    // With one door to switch to, exactly one of staying and switching wins each game
+    assert.equal(stay.offered, 5000);
+    assert.equal(stay.wins + switchResult.wins, stay.offered);
+    assert.equal(neverSwitch.wins, stay.wins);
+    assert.equal(alwaysSwitch.wins, switchResult.wins);
+});
+
+test('tournaments replay exactly from the seed and are unaffected by the other strategies', () => {
+    const config = { numDoors: 6, numCars: 2, doorsToOpen: 2 };
+    const random = { type: 'random', probability: 0.4 };
+    const first = MontyStrategies.tournament(config, [random, { type: 'stay' }], 2000, 7);
+    const again = MontyStrategies.tournament(config, [random, { type: 'stay' }], 2000, 7);
+    assert.deepEqual(again, first);
+
+    const alone = MontyStrategies.tournament(config, [random], 2000, 7);
+    assert.deepEqual(alone[0], first[0]);
+
+    // Played in chunks, as the worker does, the tallies come out the same
+    const chunked = MontyStrategies.tournamentResults([random, { type: 'stay' }]);
+    [[0, 500], [500, 1999], [1999, 2000]].forEach(([from, to]) => MontyStrategies.playTournament(chunked, config, 7, from, to));
+    assert.deepEqual(chunked, first);
+    assert.equal(chunked[0].games, 2000);
+});
+
+test('fixed strategies match their theoretical win rates', () => {
+    for (const config of [{ numDoors: 3 }, { numDoors: 8, numCars: 2, doorsToOpen: 3 }, { numDoors: 4, host: 'fall' }]) {
+        const [stay, switchResult, half] = MontyStrategies.tournament(
+            config,
+            [{ type: 'stay' }, { type: 'switch' }, { type: 'random', probability: 0.5 }],
+            GAMES,
+            3
+        );
+        const stayRate = MontyEngine.theoreticalWinRate(config, 'stay');
+        const switchRate = MontyEngine.theoreticalWinRate(config, 'switch');
+        assertRate(stay, stayRate, 'stay');
+        assertRate(switchResult, switchRate, 'switch');
+        assertRate(half, (stayRate + switchRate) / 2, 'switch half the time');
+    }
+});
+
+test('conditional strategies only switch when the host did what they look for', () => {
+    // Classic 3 doors: working through every pick, car and host choice,
+    // each of these wins 4/9 of the time
+    const [opened, skipped] = MontyStrategies.tournament(
+        { numDoors: 3 },
+        [{ type: 'host-opened', door: 2 }, { type: 'host-skipped', door: 2 }],
+        GAMES,
+        5
+    );
+    assertRate(opened, 4 / 9, 'switch if door 3 opened');
+    assertRate(skipped, 4 / 9, 'switch if door 3 left closed');
+
+    // Monty Crawl gives the car away whenever he skips door 1, and the strategy exploits it
+    const [crawl] = MontyStrategies.tournament(
+        { numDoors: 3, host: 'crawl' },
+        [{ type: 'host-skipped', door: 0 }],
+        GAMES,
+        6
+    );
+    assert.ok(crawl.wins / crawl.offered > MontyEngine.theoreticalWinRate({ numDoors: 3, host: 'crawl' }, 'stay'));
+});
+
+test('results are ranked by win rate with a margin of error', () => {
+    const ranked = MontyStrategies.rank([
+        { strategy: { type: 'stay' }, games: 100, offered: 100, wins: 30 },
+        { strategy: { type: 'switch' }, games: 100, offered: 100, wins: 70 },
+        { strategy: { type: 'random', probability: 0.5 }, games: 0, offered: 0, wins: 0 }
+    ]);
+    assert.deepEqual(ranked.map(result => result.strategy.type), ['switch', 'stay', 'random']);
+    assert.equal(ranked[0].winRate, 0.7);
+    assert.ok(Math.abs(ranked[0].margin - 1.96 * Math.sqrt(0.7 * 0.3 / 100)) < 1e-12);
+    assert.equal(ranked[2].margin, 0);
+});
+
+test('saved strategies are restored, with defaults for new visitors', () => {
+    const items = new Map();
+    const storage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+    assert.deepEqual(MontyStrategies.load(storage), MontyStrategies.defaults());
+
+    const strategies = [{ type: 'host-opened', door: 1, name: 'Hunch' }];
+    MontyStrategies.save(storage, strategies);
+    assert.deepEqual(MontyStrategies.load(storage), strategies);
+
+    // One bad entry doesn't cost the player the others
+    MontyStrategies.save(storage, [...strategies, { type: 'random', probability: 2 }, null]);
+    assert.deepEqual(MontyStrategies.load(storage), strategies);
+});
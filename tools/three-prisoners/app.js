@@ -0,0 +1,195 @@
+/**
+ * Three Prisoners Problem
+ * Play the warden's game or simulate it, using the Monty Hall tool's doors
+ * (here, cells) and results store
+ */
+
+// Constants
+const REVEAL_DELAY_MS = 600; // Pause before the warden answers
+const SIMULATION_COUNT = 1000;
+
+// Game state
+let gameState = {
+    round: null, // Current round, as a Monty Hall engine round
+    answered: false, // The warden has named a condemned prisoner
+    stats: null, // MontyStats store under this puzzle's own key
+    showProbabilities: false
+};
+
+// DOM elements
+let doorsContainer;
+let statusMessage;
+let actionButtons;
+
+/**
+ * Initialize the application
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    doorsContainer = document.getElementById('doors-container');
+    statusMessage = document.getElementById('status-message');
+    actionButtons = document.getElementById('action-buttons');
+
+    document.getElementById('new-sentence').addEventListener('click', newSentence);
+    document.getElementById('show-probabilities').addEventListener('change', function() {
+        gameState.showProbabilities = this.checked;
+        renderCells();
+    });
+    document.getElementById('bet-self').addEventListener('click', () => placeBet('stay'));
+    document.getElementById('bet-other').addEventListener('click', () => placeBet('switch'));
+    document.getElementById('reset-stats').addEventListener('click', resetStatistics);
+    document.getElementById('simulate-stay').addEventListener('click', () => simulateBets('stay'));
+    document.getElementById('simulate-switch').addEventListener('click', () => simulateBets('switch'));
+    doorsContainer.addEventListener('keydown', function(event) {
+        if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+            DoorBoard.moveFocus(doorsContainer, event.target, event.key === 'ArrowLeft' ? -1 : 1);
+            event.preventDefault();
+        }
+    });
+
+    gameState.stats = MontyStats.load(localStorage, ThreePrisoners.STORAGE_KEY);
+    updateStatistics();
+    newSentence();
+});
+
+/**
+ * Start a new sentence with nobody chosen
+ */
+function newSentence() {
+    gameState.round = ThreePrisoners.newRound();
+    gameState.answered = false;
+    actionButtons.style.display = 'none';
+    statusMessage.textContent = 'Which prisoner are you?';
+    renderCells();
+}
+
+/**
+ * Name of a prisoner, e.g. "Prisoner B"
+ */
+function prisonerName(prisoner) {
+    return `Prisoner ${ThreePrisoners.PRISONERS[prisoner]}`;
+}
+
+/**
+ * Render the cells
+ */
+function renderCells() {
+    const round = gameState.round;
+    const opened = round.phase === MontyEngine.PHASES.REVEAL;
+    const named = gameState.answered ? ThreePrisoners.condemned(round) : null;
+    const chances = gameState.showProbabilities && (round.selectedDoor === null || gameState.answered)
+        ? ThreePrisoners.chances(round)
+        : null;
+
+    const cells = ThreePrisoners.PRISONERS.map((letter, i) => {
+        const pardoned = round.carDoors.includes(i);
+        return {
+            label: letter,
+            name: prisonerName(i),
+            content: pardoned ? '🕊️' : '⛓️',
+            contentClass: pardoned ? 'car' : 'goat',
+            contentName: pardoned ? 'pardoned' : 'condemned',
+            selected: i === round.selectedDoor,
+            finalChoice: opened && round.decision === 'switch' && i === round.finalDoor,
+            revealed: i === named,
+            opened,
+            probability: chances ? chances[i] : null,
+            onClick: round.phase === MontyEngine.PHASES.SELECT ? () => choosePrisoner(i) : null
+        };
+    });
+
+    DoorBoard.render(doorsContainer, cells, { probabilityOf: 'a pardon', pickText: 'you', finalText: 'your bet' });
+}
+
+/**
+ * Become the given prisoner and ask the warden to name another who will die
+ */
+async function choosePrisoner(prisoner) {
+    if (gameState.round.phase !== MontyEngine.PHASES.SELECT) return;
+
+    gameState.round = ThreePrisoners.askWarden(gameState.round, prisoner);
+    const round = gameState.round;
+    statusMessage.textContent = `You are ${prisonerName(prisoner)}. "Warden, name one of the others who will be executed..."`;
+    renderCells();
+
+    await new Promise(resolve => setTimeout(resolve, REVEAL_DELAY_MS));
+    if (gameState.round !== round) return;
+
+    gameState.answered = true;
+    const other = ThreePrisoners.otherPrisoner(round);
+    statusMessage.textContent = `"${prisonerName(ThreePrisoners.condemned(round))} will be executed." Who do you think was pardoned?`;
+    document.getElementById('bet-other').textContent = `Bet on ${prisonerName(other)}`;
+    actionButtons.style.display = 'flex';
+    renderCells();
+}
+
+/**
+ * Bet on who was pardoned and reveal everyone's fate
+ */
+function placeBet(bet) {
+    const round = gameState.round;
+    if (!gameState.answered || round.phase !== MontyEngine.PHASES.SWITCH_OR_STAY) return;
+
+    gameState.round = ThreePrisoners.bet(round, bet);
+    const finished = gameState.round;
+    const pardoned = finished.carDoors[0];
+
+    MontyStats.addResults(gameState.stats, ThreePrisoners.CONFIG, bet, { games: 1, offered: 1, wins: finished.won ? 1 : 0 });
+    saveStatistics();
+    updateStatistics();
+
+    actionButtons.style.display = 'none';
+    statusMessage.textContent = finished.won
+        ? `🕊️ Right! ${pardoned === finished.selectedDoor ? 'You were' : `${prisonerName(pardoned)} was`} pardoned.`
+        : `⛓️ Wrong! ${pardoned === finished.selectedDoor ? 'You were' : `${prisonerName(pardoned)} was`} pardoned.`;
+    renderCells();
+}
+
+/**
+ * Let the warden answer many prisoners who all bet the same way
+ */
+function simulateBets(bet) {
+    const result = ThreePrisoners.simulate(bet, SIMULATION_COUNT);
+    MontyStats.addResults(gameState.stats, ThreePrisoners.CONFIG, bet, result);
+    saveStatistics();
+    updateStatistics();
+}
+
+/**
+ * Update the statistics display
+ */
+function updateStatistics() {
+    const totals = MontyStats.totalsFor(gameState.stats, ThreePrisoners.CONFIG);
+
+    document.getElementById('stay-wins').textContent = totals.stayWins;
+    document.getElementById('switch-wins').textContent = totals.switchWins;
+    document.getElementById('total-games').textContent = totals.totalGames;
+
+    const stayPercentage = totals.stayGames > 0 ? (totals.stayWins / totals.stayGames * 100).toFixed(1) : '0.0';
+    const switchPercentage = totals.switchGames > 0 ? (totals.switchWins / totals.switchGames * 100).toFixed(1) : '0.0';
+    document.getElementById('stay-percentage').textContent = `${stayPercentage}%`;
+    document.getElementById('switch-percentage').textContent = `${switchPercentage}%`;
+
+    document.getElementById('stay-theory').textContent = `Theory: ${(ThreePrisoners.theoreticalWinRate('stay') * 100).toFixed(1)}%`;
+    document.getElementById('switch-theory').textContent = `Theory: ${(ThreePrisoners.theoreticalWinRate('switch') * 100).toFixed(1)}%`;
+}
+
+/**
+ * Save statistics to localStorage
+ */
+function saveStatistics() {
+    try {
+        MontyStats.save(localStorage, gameState.stats, ThreePrisoners.STORAGE_KEY);
+    } catch (error) {
+        console.error('Error saving statistics:', error);
+    }
+}
+
+/**
+ * Reset all statistics
+ */
+function resetStatistics() {
+    if (!confirm('Are you sure you want to reset all results?')) return;
+    gameState.stats = MontyStats.empty();
+    saveStatistics();
+    updateStatistics();
+}
@@ -0,0 +1,89 @@
+/**
+ * Three Prisoners Engine
+ * Three prisoners, one secretly pardoned. You are one of them, and the warden
+ * (who knows who is pardoned) names one of the other two as condemned. Is your
+ * chance still 1 in 3, or has it changed? This is the Monty Hall game with
+ * different props, so it runs on the Monty Hall engine: the pardon is the car
+ * and the warden is a classic host opening one door.
+ */
+
+// Loaded after the Monty Hall engine in the browser; required directly under Node
+const PrisonersEngine = typeof MontyEngine !== 'undefined' ? MontyEngine : require('../monty-hall/engine.js');
+
+const ThreePrisoners = {
+    PRISONERS: ['A', 'B', 'C'],
+    CONFIG: { numDoors: 3, numCars: 1, doorsToOpen: 1, host: 'classic' },
+    STORAGE_KEY: 'threePrisoners_stats',
+
+    // After the warden speaks you bet on who is pardoned: yourself ('stay') or
+    // the prisoner the warden didn't name ('switch'), as in the Monty Hall game
+    BETS: {
+        stay: 'Bet on yourself',
+        switch: 'Bet on the other prisoner'
+    },
+
+    /**
+     * A new sentence: one prisoner is pardoned, nobody has asked the warden yet
+     */
+    newRound(rng = Math.random) {
+        return PrisonersEngine.newRound(this.CONFIG, rng);
+    },
+
+    /**
+     * You are the given prisoner and ask the warden to name one of the others
+     * who will be executed. If both are, he picks one at random.
+     */
+    askWarden(round, prisoner, rng = Math.random) {
+        return PrisonersEngine.hostReveal(PrisonersEngine.selectDoor(round, prisoner), rng);
+    },
+
+    /**
+     * The prisoner the warden named
+     */
+    condemned(round) {
+        return round.revealedDoors.length > 0 ? round.revealedDoors[0] : null;
+    },
+
+    /**
+     * The other prisoner the warden didn't name
+     */
+    otherPrisoner(round) {
+        return PrisonersEngine.switchTargets(round)[0];
+    },
+
+    /**
+     * Place a bet on who is pardoned and reveal everyone's fate
+     */
+    bet(round, bet) {
+        return PrisonersEngine.resolve(PrisonersEngine.decide(round, bet, bet === 'switch' ? this.otherPrisoner(round) : undefined));
+    },
+
+    /**
+     * Chance each prisoner is pardoned, given who you are and who the warden named
+     */
+    chances(round) {
+        if (round.phase === PrisonersEngine.PHASES.REVEAL) {
+            return this.PRISONERS.map((_, i) => (round.carDoors.includes(i) ? 1 : 0));
+        }
+        return PrisonersEngine.doorProbabilities(this.CONFIG, round.selectedDoor, round.revealedDoors);
+    },
+
+    /**
+     * Play many sentences with the same bet and count how often it was right
+     */
+    simulate(bet, count, rng = Math.random) {
+        return PrisonersEngine.simulate(this.CONFIG, bet, count, rng);
+    },
+
+    /**
+     * Exact long-run chance a bet is right
+     */
+    theoreticalWinRate(bet) {
+        return PrisonersEngine.theoreticalWinRate(this.CONFIG, bet);
+    }
+};
+
+// Allow the engine to be required from Node (tests) as well as loaded via <script>
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThreePrisoners;
+}
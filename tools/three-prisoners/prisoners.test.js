@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MontyEngine = require('../monty-hall/engine.js');
+const ThreePrisoners = require('./prisoners.js');
+
+test('the warden never names you or the pardoned prisoner', () => {
+    const rng = MontyEngine.createRng(7);
+    for (let i = 0; i < 200; i++) {
+        const you = MontyEngine.randomInt(rng, 3);
+        const round = ThreePrisoners.askWarden(ThreePrisoners.newRound(rng), you, rng);
+        const named = ThreePrisoners.condemned(round);
+
+        assert.notEqual(named, you);
+        assert.ok(!round.carDoors.includes(named));
+        assert.equal(new Set([you, named, ThreePrisoners.otherPrisoner(round)]).size, 3);
+    }
+});
+
+test('your chance stays 1/3 and the other prisoner\'s rises to 2/3', () => {
+    const round = ThreePrisoners.askWarden(ThreePrisoners.newRound(MontyEngine.createRng(3)), 0, MontyEngine.createRng(3));
+    const chances = ThreePrisoners.chances(round);
+    const other = ThreePrisoners.otherPrisoner(round);
+
+    assert.ok(Math.abs(chances[0] - 1 / 3) < 1e-12);
+    assert.ok(Math.abs(chances[other] - 2 / 3) < 1e-12);
+    assert.equal(chances[ThreePrisoners.condemned(round)], 0);
+});
+
+test('a bet reveals everyone and is right when it names the pardoned prisoner', () => {
+    const round = ThreePrisoners.askWarden(ThreePrisoners.newRound(MontyEngine.createRng(11)), 1, MontyEngine.createRng(11));
+    const onSelf = ThreePrisoners.bet(round, 'stay');
+    const onOther = ThreePrisoners.bet(round, 'switch');
+
+    assert.equal(onSelf.won, round.carDoors.includes(1));
+    assert.equal(onOther.finalDoor, ThreePrisoners.otherPrisoner(round));
+    assert.notEqual(onSelf.won, onOther.won);
+    assert.deepEqual(ThreePrisoners.chances(onOther), [0, 1, 2].map(i => (round.carDoors.includes(i) ? 1 : 0)));
+});
+
+test('simulated bets settle at the exact rates', () => {
+    const games = 20000;
+    ['stay', 'switch'].forEach(bet => {
+        const { offered, wins } = ThreePrisoners.simulate(bet, games, MontyEngine.createRng(5));
+        const expected = ThreePrisoners.theoreticalWinRate(bet);
+        assert.equal(offered, games);
+        assert.ok(Math.abs(wins / offered - expected) < 4 * Math.sqrt(expected * (1 - expected) / games));
+    });
+    assert.equal(ThreePrisoners.theoreticalWinRate('stay'), 1 / 3);
+});